@@ -0,0 +1,267 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Spell checks plain text, Markdown and HTML files with the dictionaries of the extension, e.g. as a step of a documentation build.
+ *
+ * Usage: node bin/check.js [options] [file...]
+ * e.g. `node bin/check.js docs/*.md` lists the misspellings of the documentation and exits with status 1 when there are any.
+ *
+ * The standard input is read when no file is given. With `-a`, the input is read line by line and answered as `hunspell -a` does, so
+ * editors that talk to ispell or hunspell through a pipe can use it.
+ */
+
+var fs = require('fs');
+var path = require('path');
+var readline = require('readline');
+
+var Dictionaries = require('../spell/dictionaries.js');
+var PersonalDictionary = require('../spell/personal.js');
+var checking = require('./checker.js');
+var prose = require('./prose.js');
+
+var usage = [
+	'Usage: node bin/check.js [options] [file...]',
+	'',
+	'Checks the spelling of text, Markdown and HTML files, or of the standard input when no file is given.',
+	'',
+	'Options:',
+	'  -d, --dictionary <code>     the dictionary to check with (default: ' + Dictionaries.defaultSettings.global[0] + ')',
+	'  --dictionaries <folder>     the folder of the dictionaries (default: typo/dictionaries)',
+	'  -t, --type <type>           text, markdown or html (default: from the file extension, text for the standard input)',
+	'  -f, --format <format>       human, json or hunspell (default: human)',
+	'  -a                          answer line by line as `hunspell -a` does, the same as --format hunspell',
+	'  -n, --suggestions <number>  the number of suggestions per misspelling (default: 5, 0 for none)',
+	'  -h, --help                  show this help',
+	'',
+	'Exits with status 1 when misspellings are found, 2 on errors.'
+].join('\n');
+
+//what the ispell protocol answers first, editors check that it starts with @(#)
+var pipeBanner = '@(#) International Ispell Version 3.2.06 (but really Typo.js)';
+
+/**
+ * Reads the command line.
+ *
+ * @param {String[]} args The arguments, without the node executable and the script.
+ * @returns {Object} The options.
+ */
+function parseArguments(args){
+	var options = {
+		code: Dictionaries.defaultSettings.global[0],
+		folder: path.join(__dirname, '..', 'typo', 'dictionaries'),
+		type: null,
+		format: 'human',
+		limit: 5,
+		files: [],
+		help: false
+	};
+
+	function value(i){
+		if(i >= args.length)
+			throw "Missing value for " + args[i - 1] + ".";
+
+		return args[i];
+	}
+
+	for(var i = 0; i < args.length; i ++){
+		var arg = args[i];
+
+		if(arg === '-d' || arg === '--dictionary')
+			options.code = value(++ i);
+		else if(arg === '--dictionaries')
+			options.folder = value(++ i);
+		else if(arg === '-t' || arg === '--type')
+			options.type = value(++ i);
+		else if(arg === '-f' || arg === '--format')
+			options.format = value(++ i);
+		else if(arg === '-a')
+			options.format = 'hunspell';
+		else if(arg === '-n' || arg === '--suggestions')
+			options.limit = parseInt(value(++ i), 10);
+		else if(arg === '-h' || arg === '--help')
+			options.help = true;
+		else if(arg === '--')
+			options.files = options.files.concat(args.slice(i + 1));
+		else if(arg[0] === '-' && arg !== '-')
+			throw "Unknown option " + arg + ".";
+		else
+			options.files.push(arg);
+
+		if(arg === '--')
+			break;
+	}
+
+	if(options.type && ['text', 'markdown', 'html'].indexOf(options.type) === -1)
+		throw "Unknown type " + options.type + ", expected text, markdown or html.";
+	if(['human', 'json', 'hunspell'].indexOf(options.format) === -1)
+		throw "Unknown format " + options.format + ", expected human, json or hunspell.";
+	if(isNaN(options.limit) || options.limit < 0)
+		throw "The number of suggestions must be a positive number.";
+
+	return options;
+}
+
+/**
+ * Checks a document.
+ *
+ * @param {Checker} checker The checker.
+ * @param {String} name The name of the document, as reported.
+ * @param {String} source The content of the document.
+ * @param {String} type `text`, `markdown` or `html`.
+ * @returns {Object[]} The misspellings, with their `file`, `line`, `column`, `word` and `suggestions`.
+ */
+function checkDocument(checker, name, source, type){
+	var extracted = prose.extract(source, type);
+	var locate = prose.locator(source);
+
+	return checker.words(extracted.text).filter(function(word){
+		return !word.correct;
+	}).map(function(misspelling){
+		var position = locate(extracted.offsets[misspelling.start]);
+
+		return {
+			file: name,
+			line: position.line,
+			column: position.column,
+			word: misspelling.word,
+			suggestions: checker.suggest(misspelling.word)
+		};
+	});
+}
+
+/**
+ * Answers the lines of an input as `hunspell -a` does: `*` for a correct word, `& word count offset: suggestions` or `# word offset` for a
+ * misspelled one, then an empty line. The offsets count from 0, from the start of the line as it was read. Lines starting with `!` and
+ * `%` turn the terse mode, which leaves the correct words out, on and off, `*word` and `@word` accept a word for the session, and `^`
+ * escapes a line to check that starts with one of these characters.
+ *
+ * @param {Checker} checker The checker.
+ * @param {stream.Readable} input The input.
+ * @returns {Promise} A promise of whether a misspelling was found, once the input is over.
+ */
+function pipe(checker, input){
+	var terse = false;
+	var found = false;
+
+	return new Promise(function(resolve, reject){
+		var lines = readline.createInterface({input: input, crlfDelay: Infinity});
+
+		lines.on('line', function(line){
+			var command = line[0];
+
+			if(command === '!' || command === '%'){
+				terse = (command === '!');
+				return;
+			}
+			if(command === '*' || command === '@'){
+				//added to the personal dictionary, or accepted for the session, which is the same while the checker runs
+				checker.personal.add(line.substring(1).trim());
+				return;
+			}
+			//saving the personal dictionary and the formatter commands have nothing to do here
+			if(command === '#' || command === '+' || command === '-' || command === '~')
+				return;
+
+			var escaped = (command === '^'? 1: 0);
+			var output = [];
+
+			checker.words(line.substring(escaped)).forEach(function(word){
+				var suggestions;
+
+				if(word.correct){
+					if(!terse)
+						output.push('*');
+					return;
+				}
+
+				suggestions = checker.suggest(word.word);
+				output.push(suggestions.length?
+					'& ' + word.word + ' ' + suggestions.length + ' ' + (word.start + escaped) + ': ' + suggestions.join(', '):
+					'# ' + word.word + ' ' + (word.start + escaped));
+				found = true;
+			});
+
+			process.stdout.write(output.concat('').join('\n') + '\n');
+		});
+		lines.on('close', function(){
+			resolve(found);
+		});
+		input.on('error', reject);
+	});
+}
+
+function report(misspellings, format){
+	if(format === 'json'){
+		process.stdout.write(JSON.stringify(misspellings, null, 2) + '\n');
+		return;
+	}
+
+	misspellings.forEach(function(misspelling){
+		var location = misspelling.file + ':' + misspelling.line + ':' + misspelling.column;
+
+		console.log(location + ': ' + misspelling.word + (misspelling.suggestions.length? ' -> ' + misspelling.suggestions.join(', '): ''));
+	});
+
+	if(misspellings.length){
+		var files = new Set(misspellings.map(function(misspelling){
+			return misspelling.file;
+		}));
+
+		console.error(misspellings.length + ' misspelled ' + (misspellings.length === 1? 'word': 'words') + ' in ' + files.size + ' ' +
+			(files.size === 1? 'file': 'files') + '.');
+	}
+}
+
+function main(){
+	try{
+		var options = parseArguments(process.argv.slice(2));
+	}
+	catch(e){
+		console.error(e + '\n\n' + usage);
+		process.exit(2);
+	}
+
+	if(options.help){
+		console.log(usage);
+		return;
+	}
+
+	var files = (options.files.length? options.files: ['-']);
+
+	checking.loadDictionary(options.folder, options.code).then(function(dict){
+		var checker = new checking.Checker(dict, options.limit, new PersonalDictionary());
+
+		if(options.format === 'hunspell'){
+			process.stdout.write(pipeBanner + '\n');
+
+			return files.reduce(function(previous, file){
+				return previous.then(function(found){
+					var input = (file === '-'? process.stdin: fs.createReadStream(file, 'utf8'));
+
+					return pipe(checker, input).then(function(foundInFile){
+						return found || foundInFile;
+					});
+				});
+			}, Promise.resolve(false));
+		}
+
+		var misspellings = [];
+		files.forEach(function(file){
+			var source = fs.readFileSync(file === '-'? 0: file, 'utf8');
+			var type = options.type || (file === '-'? 'text': prose.typeOf(file));
+
+			misspellings = misspellings.concat(checkDocument(checker, (file === '-'? '<stdin>': file), source, type));
+		});
+		report(misspellings, options.format);
+
+		return misspellings.length > 0;
+	}).then(function(found){
+		process.exitCode = (found? 1: 0);
+	}, function(e){
+		console.error('Spell check failed: ' + (e.message || e));
+		process.exitCode = 2;
+	});
+}
+
+main();
@@ -0,0 +1,106 @@
+'use strict';
+
+/**
+ * What the command-line checker and the language server share: loading a dictionary and checking the words of a text with it.
+ */
+
+var Typo = require('../typo/typo.js');
+var Tokenizer = require('../spell/tokenizer.js');
+var TokenFilters = require('../spell/filters.js');
+
+/**
+ * Loads a dictionary, precompiled by bin/compile.js when its precompiled file is up to date with its sources.
+ *
+ * @param {String} folder The folder of the dictionaries.
+ * @param {String} code The code of the dictionary.
+ * @returns {Promise} A promise of the Typo instance.
+ */
+function loadDictionary(folder, code){
+	return Typo.create(code, {
+		dictionaryPath: folder,
+		precompiled: true,
+		warn: function(message){
+			console.error(message);
+		}
+	});
+}
+
+/**
+ * Checks words the way the extension does, remembering the verdicts and the suggestions.
+ *
+ * @param {Typo} dict The dictionary.
+ * @param {Number} limit The number of suggestions per misspelling.
+ * @param {PersonalDictionary} personal The words to accept besides the ones of the dictionary; its flagged words are added to the dictionary.
+ * @param {TokenFilters} [filters] The filters of the tokens not to check, by default the built-in ones.
+ */
+function Checker(dict, limit, personal, filters){
+	this.dict = dict;
+	this.limit = limit;
+	this.personal = personal;
+	this.tokenizer = new Tokenizer(dict);
+	this.filters = filters || new TokenFilters();
+	this.verdicts = new Map();
+	this.suggestions = new Map();
+
+	personal.applyTo(dict);
+}
+
+Checker.prototype = {
+	/**
+	 * Checks the words of a text, leaving out what the filters match.
+	 *
+	 * @param {String} text The text.
+	 * @returns {Object[]} The cleaned `word` of each token, its `start` and `end` offsets in the text and whether it is `correct`.
+	 */
+	words: function(text){
+		var words = [];
+
+		this.filters.apply(text, this.tokenizer.tokenize(text)).forEach(function(token){
+			var word = Tokenizer.clean(token.word);
+
+			if(!word)
+				return;
+
+			//without the quotes and underscores stripped from the word, which starts right after the leading ones
+			var start = token.start + token.word.indexOf(word);
+
+			words.push({
+				word: word,
+				start: start,
+				end: start + word.length,
+				correct: this.isCorrect(word)
+			});
+		}, this);
+
+		return words;
+	},
+
+	isCorrect: function(word){
+		if(!this.verdicts.has(word))
+			this.verdicts.set(word, this.dict.check(word));
+
+		return this.verdicts.get(word) || this.personal.accepts(word);
+	},
+
+	/**
+	 * Forgets the verdicts, after words were added to the personal dictionary.
+	 */
+	reset: function(){
+		this.verdicts.clear();
+	},
+
+	suggest: function(word){
+		if(!this.limit)
+			return [];
+
+		if(!this.suggestions.has(word))
+			this.suggestions.set(word, this.dict.suggest(word, this.limit));
+
+		return this.suggestions.get(word);
+	}
+};
+
+module.exports = {
+	loadDictionary: loadDictionary,
+	Checker: Checker
+};
@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Precompiles a hunspell dictionary into the format Typo.prototype.load() reads, so the extension does not have to parse the .aff and .dic
+ * files, and expand every affix rule, each time it is activated.
+ *
+ * Usage: node bin/compile.js <code> [dictionaries folder]
+ * e.g. `node bin/compile.js vec_IT` reads typo/dictionaries/vec_IT/vec_IT.aff and .dic, and writes typo/dictionaries/vec_IT/vec_IT.json
+ */
+
+var fs = require('fs');
+var path = require('path');
+
+var Typo = require('../typo/typo.js');
+
+var code = process.argv[2];
+var root = process.argv[3] || path.join(__dirname, '..', 'typo', 'dictionaries');
+
+if(!code){
+	console.error('Usage: node bin/compile.js <code> [dictionaries folder]');
+	process.exit(2);
+}
+
+var base = path.join(root, code, code);
+
+try{
+	//decoded with the encoding the .aff file declares, as the extension does, so the checksums match
+	var decoded = Typo.decodeDictionary(fs.readFileSync(base + '.aff'), fs.readFileSync(base + '.dic'));
+	var affixData = decoded.affixData;
+	var dictionaryData = decoded.dictionaryData;
+
+	decoded.warnings.forEach(function(message){
+		console.error('Warning: ' + message);
+	});
+}
+catch(e){
+	console.error('Cannot read the dictionary: ' + (e.message || e));
+	process.exit(1);
+}
+
+var start = Date.now();
+var dict = new Typo(code, affixData, dictionaryData);
+var compiled = dict.serialize(affixData, dictionaryData);
+
+fs.writeFileSync(base + '.json', compiled);
+
+console.log('Wrote ' + base + '.json (' + Math.round(compiled.length / 1024) + ' KiB) in ' + (Date.now() - start) + ' ms');
@@ -0,0 +1,509 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * A Language Server Protocol server spell checking the documents open in an editor with the dictionaries of the extension.
+ *
+ * Usage: node bin/language-server.js [--stdio] [-d <code>] [--dictionaries <folder>]
+ *
+ * It talks JSON-RPC over the standard input and output. Misspelled words are published as diagnostics, re-checked line by line as the
+ * documents change, with the suggestions of the dictionary as quick fixes along with an "add to the workspace dictionary" command; the
+ * workspace dictionary is a .dic-style word file, `.spell-check.dic` at the root of the workspace by default.
+ *
+ * The client can set `dictionary`, `dictionaries` (the folder), `wordFile` (relative to the workspace root), `suggestions` (their
+ * number) and `filters` (the `disabled` built-in token filters and the `custom` ones, as in the options of the extension) in the
+ * initialization options.
+ */
+
+var fs = require('fs');
+var path = require('path');
+var url = require('url');
+
+var Dictionaries = require('../spell/dictionaries.js');
+var PersonalDictionary = require('../spell/personal.js');
+var TokenFilters = require('../spell/filters.js');
+var checking = require('./checker.js');
+var prose = require('./prose.js');
+
+var addWordCommand = 'spellCheck.addToWorkspaceDictionary';
+var diagnosticSource = 'spell-check';
+//how long to wait, in milliseconds, for the typing to pause before checking a changed document again
+var checkDelay = 200;
+
+var errorCodes = {
+	parseError: -32700,
+	invalidRequest: -32600,
+	methodNotFound: -32601,
+	serverNotInitialized: -32002
+};
+
+/**
+ * Reads and writes the messages of the protocol: JSON bodies preceded by a Content-Length header.
+ *
+ * @param {stream.Readable} input The stream the messages are read from.
+ * @param {stream.Writable} output The stream the messages are written to.
+ * @param {Function} onMessage Called with each message read.
+ */
+function Connection(input, output, onMessage){
+	var buffer = Buffer.alloc(0);
+
+	this.output = output;
+
+	input.on('data', function(data){
+		buffer = Buffer.concat([buffer, data]);
+
+		for(;;){
+			var headerEnd = buffer.indexOf('\r\n\r\n');
+
+			if(headerEnd === -1)
+				return;
+
+			var length = /Content-Length: *(\d+)/i.exec(buffer.toString('ascii', 0, headerEnd));
+			var bodyStart = headerEnd + 4;
+
+			if(!length){
+				//not a header the protocol knows, skip it
+				buffer = buffer.subarray(bodyStart);
+				continue;
+			}
+
+			var bodyEnd = bodyStart + parseInt(length[1], 10);
+
+			if(buffer.length < bodyEnd)
+				return;
+
+			var body = buffer.toString('utf8', bodyStart, bodyEnd);
+			buffer = buffer.subarray(bodyEnd);
+
+			onMessage(body);
+		}
+	});
+}
+
+Connection.prototype = {
+	send: function(message){
+		var body = JSON.stringify(Object.assign({jsonrpc: '2.0'}, message));
+
+		this.output.write('Content-Length: ' + Buffer.byteLength(body, 'utf8') + '\r\n\r\n' + body);
+	},
+
+	respond: function(id, result){
+		this.send({id: id, result: result});
+	},
+
+	fail: function(id, code, message){
+		this.send({id: id, error: {code: code, message: message}});
+	},
+
+	notify: function(method, params){
+		this.send({method: method, params: params});
+	}
+};
+
+/**
+ * An open document, with the misspellings of each of its lines kept so that only the lines that change are checked again.
+ *
+ * @param {Object} item The TextDocumentItem the client opened.
+ */
+function Document(item){
+	this.uri = item.uri;
+	this.version = item.version;
+	this.text = item.text;
+	this.type = (item.languageId === 'markdown' || item.languageId === 'html'? item.languageId: prose.typeOf(item.uri));
+	//prose of a line -> the misspelled words in it
+	this.lines = new Map();
+	this.timer = null;
+}
+
+Document.prototype = {
+	/**
+	 * Converts a position of the protocol into an offset in the text.
+	 *
+	 * @param {Object} position The `line` and the `character`, counted in UTF-16 code units, both 0-based.
+	 * @returns {Number} The offset.
+	 */
+	offsetAt: function(position){
+		var pattern = /\r\n?|\n/g;
+		var lineStart = 0;
+
+		for(var line = 0; line < position.line; line ++){
+			var match = pattern.exec(this.text);
+
+			if(!match)
+				return this.text.length;
+
+			lineStart = match.index + match[0].length;
+		}
+
+		var lineEnd = this.text.slice(lineStart).search(/\r|\n/);
+
+		return lineStart + Math.min(position.character, (lineEnd === -1? this.text.length - lineStart: lineEnd));
+	},
+
+	/**
+	 * Applies the changes the client sent, either whole new texts or edits of ranges.
+	 *
+	 * @param {Number} version The version of the document after the changes.
+	 * @param {Object[]} changes The TextDocumentContentChangeEvents.
+	 */
+	update: function(version, changes){
+		changes.forEach(function(change){
+			if(!change.range){
+				this.text = change.text;
+				return;
+			}
+
+			var start = this.offsetAt(change.range.start);
+			var end = this.offsetAt(change.range.end);
+
+			this.text = this.text.substring(0, start) + change.text + this.text.substring(end);
+		}, this);
+
+		this.version = version;
+	},
+
+	/**
+	 * Checks the document. The prose of the whole document is extracted again, since a change can open or close a code block further
+	 * down, but only the lines whose prose changed are tokenized and checked.
+	 *
+	 * @param {Checker} checker The checker.
+	 * @returns {Object[]} The diagnostics.
+	 */
+	diagnostics: function(checker){
+		var self = this;
+		var extracted = prose.extract(this.text, this.type);
+		var locate = prose.locator(this.text);
+		var previous = this.lines;
+		var diagnostics = [];
+
+		this.lines = new Map();
+
+		function position(offset){
+			var location = locate(offset);
+
+			return {line: location.line - 1, character: location.column - 1};
+		}
+
+		//checks the prose of a line, from `start` to `end` in the extracted text
+		function checkLine(start, end){
+			var text = extracted.text.substring(start, end);
+			var misspellings = previous.get(text) || self.lines.get(text);
+
+			if(!misspellings)
+				misspellings = checker.words(text).filter(function(word){
+					return !word.correct;
+				});
+			self.lines.set(text, misspellings);
+
+			misspellings.forEach(function(misspelling){
+				diagnostics.push({
+					range: {
+						start: position(extracted.offsets[start + misspelling.start]),
+						//where the character after the word is, so that a decoded character reference is covered up to its semicolon
+						end: position(extracted.offsets[start + misspelling.end])
+					},
+					severity: 3,
+					source: diagnosticSource,
+					message: '"' + misspelling.word + '" is misspelled.',
+					data: {word: misspelling.word}
+				});
+			});
+		}
+
+		var lineStart = 0;
+		var line = null;
+
+		for(var i = 0, len = extracted.text.length; i < len; i ++){
+			var current = locate(extracted.offsets[i]).line;
+
+			if(current !== line){
+				if(line !== null)
+					checkLine(lineStart, i);
+
+				line = current;
+				lineStart = i;
+			}
+		}
+		if(line !== null)
+			checkLine(lineStart, extracted.text.length);
+
+		return diagnostics;
+	},
+
+	/**
+	 * Forgets the misspellings of the lines, after the words that are correct changed.
+	 */
+	reset: function(){
+		this.lines = new Map();
+	}
+};
+
+/**
+ * The server: the open documents, checked with one dictionary and the workspace dictionary.
+ *
+ * @param {Object} options The dictionary `code` and the `folder` of the dictionaries, from the command line.
+ */
+function Server(options){
+	this.options = options;
+	this.connection = new Connection(process.stdin, process.stdout, this.receive.bind(this));
+	//uri -> Document
+	this.documents = new Map();
+	this.checker = null;
+	this.ready = null;
+	this.wordFile = null;
+	this.shuttingDown = false;
+
+	//the client went away without asking the server to exit
+	process.stdin.on('end', function(){
+		process.exit(1);
+	});
+}
+
+Server.prototype = {
+	receive: function(body){
+		var message;
+
+		try{
+			message = JSON.parse(body);
+		}
+		catch(e){
+			this.connection.fail(null, errorCodes.parseError, 'Cannot parse the message: ' + e.message);
+			return;
+		}
+
+		var isRequest = message.hasOwnProperty('id');
+		var handler = this.handlers[message.method];
+
+		if(!this.ready && message.method !== 'initialize' && message.method !== 'exit'){
+			if(isRequest)
+				this.connection.fail(message.id, errorCodes.serverNotInitialized, 'The server is not initialized.');
+			return;
+		}
+
+		if(!handler){
+			//notifications the server does not handle, like $/cancelRequest, are dropped
+			if(isRequest)
+				this.connection.fail(message.id, errorCodes.methodNotFound, 'Unknown method ' + message.method + '.');
+			return;
+		}
+
+		try{
+			var result = handler.call(this, message.params || {});
+
+			if(isRequest)
+				this.connection.respond(message.id, (typeof result === 'undefined'? null: result));
+		}
+		catch(e){
+			console.error('Spell check: ' + (e.stack || e));
+			if(isRequest)
+				this.connection.fail(message.id, errorCodes.invalidRequest, String(e.message || e));
+		}
+	},
+
+	/**
+	 * Checks a document once the dictionary is loaded, and publishes its diagnostics.
+	 *
+	 * @param {Document} document The document.
+	 * @param {Boolean} [later] Wait for the typing to pause first.
+	 */
+	check: function(document, later){
+		var self = this;
+
+		clearTimeout(document.timer);
+		document.timer = setTimeout(function(){
+			self.ready.then(function(){
+				//the document may have been closed in the meantime
+				if(self.documents.get(document.uri) !== document || !self.checker)
+					return;
+
+				self.connection.notify('textDocument/publishDiagnostics', {
+					uri: document.uri,
+					version: document.version,
+					diagnostics: document.diagnostics(self.checker)
+				});
+			});
+		}, (later? checkDelay: 0));
+	},
+
+	checkAll: function(){
+		this.documents.forEach(function(document){
+			document.reset();
+			this.check(document);
+		}, this);
+	},
+
+	readWordFile: function(){
+		try{
+			return PersonalDictionary.parse(fs.readFileSync(this.wordFile, 'utf8'));
+		}
+		catch(e){
+			if(e.code !== 'ENOENT')
+				console.error('Spell check: cannot read ' + this.wordFile + ': ' + e.message);
+
+			return [];
+		}
+	},
+
+	/**
+	 * Adds a word to the workspace dictionary, and to its file.
+	 *
+	 * @param {String} word The word.
+	 */
+	addWord: function(word){
+		var personal = this.checker.personal;
+
+		//another editor, or the user, may have changed the file since it was read
+		this.readWordFile().forEach(personal.add, personal);
+		personal.add(word);
+		fs.writeFileSync(this.wordFile, PersonalDictionary.serialize(personal.words));
+
+		this.checker.reset();
+		this.checkAll();
+	},
+
+	handlers: {
+		initialize: function(params){
+			var self = this;
+			var settings = params.initializationOptions || {};
+			var root = (params.rootUri? url.fileURLToPath(params.rootUri): params.rootPath || process.cwd());
+			var code = settings.dictionary || this.options.code;
+			var folder = settings.dictionaries? path.resolve(root, settings.dictionaries): this.options.folder;
+
+			this.wordFile = path.resolve(root, settings.wordFile || '.spell-check.dic');
+			this.ready = checking.loadDictionary(folder, code).then(function(dict){
+				var personal = new PersonalDictionary({words: self.readWordFile()});
+
+				self.checker = new checking.Checker(dict, (typeof settings.suggestions === 'number'? settings.suggestions: 5), personal,
+					new TokenFilters(settings.filters));
+			}).catch(function(e){
+				var message = 'Spell check: cannot load the ' + code + ' dictionary: ' + (e.message || e);
+
+				console.error(message);
+				self.connection.notify('window/showMessage', {type: 1, message: message});
+			});
+
+			return {
+				capabilities: {
+					textDocumentSync: {openClose: true, change: 2},
+					codeActionProvider: {codeActionKinds: ['quickfix']},
+					executeCommandProvider: {commands: [addWordCommand]}
+				},
+				serverInfo: {name: 'spell-check'}
+			};
+		},
+
+		initialized: function(){},
+
+		shutdown: function(){
+			this.shuttingDown = true;
+		},
+
+		exit: function(){
+			process.exit(this.shuttingDown? 0: 1);
+		},
+
+		'textDocument/didOpen': function(params){
+			var document = new Document(params.textDocument);
+
+			this.documents.set(document.uri, document);
+			this.check(document);
+		},
+
+		'textDocument/didChange': function(params){
+			var document = this.documents.get(params.textDocument.uri);
+
+			if(!document)
+				return;
+
+			document.update(params.textDocument.version, params.contentChanges);
+			this.check(document, true);
+		},
+
+		'textDocument/didClose': function(params){
+			var document = this.documents.get(params.textDocument.uri);
+
+			if(document)
+				clearTimeout(document.timer);
+			this.documents.delete(params.textDocument.uri);
+			this.connection.notify('textDocument/publishDiagnostics', {uri: params.textDocument.uri, diagnostics: []});
+		},
+
+		'textDocument/codeAction': function(params){
+			var document = this.documents.get(params.textDocument.uri);
+			var actions = [];
+
+			if(!document || !this.checker)
+				return actions;
+
+			(params.context.diagnostics || []).forEach(function(diagnostic){
+				if(diagnostic.source !== diagnosticSource)
+					return;
+
+				var start = document.offsetAt(diagnostic.range.start);
+				var word = (diagnostic.data && diagnostic.data.word) || document.text.substring(start, document.offsetAt(diagnostic.range.end));
+
+				this.checker.suggest(word).forEach(function(suggestion, i){
+					var changes = {};
+
+					changes[document.uri] = [{range: diagnostic.range, newText: suggestion}];
+					actions.push({
+						title: 'Replace with "' + suggestion + '"',
+						kind: 'quickfix',
+						diagnostics: [diagnostic],
+						isPreferred: (i === 0),
+						edit: {changes: changes}
+					});
+				});
+
+				actions.push({
+					title: 'Add "' + word + '" to the workspace dictionary',
+					kind: 'quickfix',
+					diagnostics: [diagnostic],
+					command: {title: 'Add to the workspace dictionary', command: addWordCommand, arguments: [word]}
+				});
+			}, this);
+
+			return actions;
+		},
+
+		'workspace/executeCommand': function(params){
+			if(params.command !== addWordCommand)
+				throw new Error('Unknown command ' + params.command + '.');
+
+			var word = (params.arguments || [])[0];
+
+			if(typeof word !== 'string' || !word.trim())
+				throw new Error('No word to add.');
+			if(!this.checker)
+				throw new Error('The dictionary is not loaded.');
+
+			this.addWord(word.trim());
+		}
+	}
+};
+
+function parseArguments(args){
+	var options = {
+		code: Dictionaries.defaultSettings.global[0],
+		folder: path.join(__dirname, '..', 'typo', 'dictionaries')
+	};
+
+	for(var i = 0; i < args.length; i ++){
+		if(args[i] === '-d' || args[i] === '--dictionary')
+			options.code = args[++ i];
+		else if(args[i] === '--dictionaries')
+			options.folder = path.resolve(args[++ i]);
+		//--stdio is how clients ask for the only transport there is
+		else if(args[i] !== '--stdio'){
+			console.error('Usage: node bin/language-server.js [--stdio] [-d <code>] [--dictionaries <folder>]');
+			process.exit(2);
+		}
+	}
+
+	return options;
+}
+
+//the standard output carries the protocol, anything logged goes to the standard error
+console.log = console.error;
+
+new Server(parseArguments(process.argv.slice(2)));
@@ -0,0 +1,276 @@
+'use strict';
+
+/**
+ * Extracts the prose of plain text, Markdown and HTML documents for the command-line tools to spell check.
+ *
+ * Code (fenced and indented code blocks, code spans), markup, link targets and the elements the extension does not check either
+ * (`style script textarea code canvas`) are left out, and HTML character references are decoded. The prose comes with the offset in the
+ * document of each of its characters, so the words found in it are reported where they are in the document.
+ */
+
+//the elements spell/spell.js does not check
+var ignoredElements = ['style', 'script', 'textarea', 'code', 'canvas'];
+
+var entities = {
+	amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: '\u00a0', shy: '',
+	lsquo: '\u2018', rsquo: '\u2019', ldquo: '\u201c', rdquo: '\u201d', ndash: '\u2013', mdash: '\u2014', hellip: '\u2026'
+};
+
+//the accented letters are composed, e.g. `&egrave;` is e and a combining grave accent
+var accents = {grave: '\u0300', acute: '\u0301', circ: '\u0302', tilde: '\u0303', uml: '\u0308', ring: '\u030a', cedil: '\u0327'};
+
+var markup = [
+	//comments, and declarations like <!DOCTYPE html>
+	'<!--[\\s\\S]*?-->',
+	'<![^>]*>',
+	//an ignored element with its content
+	'<(?<element>' + ignoredElements.join('|') + ')\\b[^>]*>[\\s\\S]*?</\\k<element>\\s*>',
+	//any other tag, and Markdown autolinks
+	'</?[a-z][^>]*>',
+	//character references
+	'&(?<entity>#\\d+|#x[\\da-f]+|[a-z][a-z\\d]*);'
+];
+
+var htmlPattern = new RegExp(markup.join('|'), 'gi');
+
+var markdownPattern = new RegExp([
+	//a code span, closed by a run of as many backticks
+	'(?<ticks>`+)(?!`)[\\s\\S]*?(?<!`)\\k<ticks>(?!`)',
+	//the target of an inline link or image, and the label of a reference link
+	'\\]\\([^()\\s]*(?:\\([^()\\s]*\\)[^()\\s]*)*(?:\\s+(?:"[^"]*"|\'[^\']*\'))?\\s*\\)',
+	'\\]\\[[^\\]]*\\]',
+	//underscores opening or closing an emphasis, as the tokenizer would keep them in the word
+	'(?<![\\p{L}\\p{N}_])_+|_+(?![\\p{L}\\p{N}_])'
+].concat(markup).join('|'), 'giu');
+
+/**
+ * Tells the type of a document from the extension of its file name.
+ *
+ * @param {String} fileName The file name.
+ * @returns {String} `markdown`, `html` or `text`.
+ */
+function typeOf(fileName){
+	if(/\.(md|markdown|mdown|mkd)$/i.test(fileName))
+		return 'markdown';
+
+	if(/\.(html?|xhtml)$/i.test(fileName))
+		return 'html';
+
+	return 'text';
+}
+
+/**
+ * Decodes a character reference.
+ *
+ * @param {String} name The reference, without `&` and `;`, e.g. `#233` or `eacute`.
+ * @returns {String} The character, or null when the reference is unknown.
+ */
+function decodeEntity(name){
+	if(name[0] === '#'){
+		var code = (name[1] === 'x' || name[1] === 'X'? parseInt(name.substring(2), 16): parseInt(name.substring(1), 10));
+
+		return (code > 0 && code <= 0x10ffff? String.fromCodePoint(code): null);
+	}
+
+	if(entities.hasOwnProperty(name))
+		return entities[name];
+
+	var accented = /^([a-z])(grave|acute|circ|tilde|uml|ring|cedil)$/i.exec(name);
+	if(accented){
+		var character = (accented[1] + accents[accented[2]]).normalize('NFC');
+
+		if(character.length === 1)
+			return character;
+	}
+
+	return null;
+}
+
+/**
+ * Finds the lines of fenced code blocks, indented code blocks and front matter in a Markdown document.
+ *
+ * @param {String} source The document.
+ * @returns {Object[]} The `{start, end}` offsets of the blocks.
+ */
+function markdownCodeBlocks(source){
+	var blocks = [];
+	var pattern = /[^\n]*(\n|$)/g;
+	var fence = null;
+	var block = null;
+	var previousBlank = true;
+	var inList = false;
+	var match;
+
+	//front matter, between two lines of three dashes at the top of the document
+	var frontMatter = /^---[ \t]*\r?\n[\s\S]*?\n(---|\.\.\.)[ \t]*(\r?\n|$)/.exec(source);
+	if(frontMatter){
+		blocks.push({start: 0, end: frontMatter[0].length});
+		pattern.lastIndex = frontMatter[0].length;
+	}
+
+	while((match = pattern.exec(source)) && match[0]){
+		var line = match[0].replace(/\r?\n$/, '');
+		var start = match.index;
+		var end = start + match[0].length;
+		var blank = !line.trim();
+
+		if(fence){
+			block.end = end;
+
+			//the fence is closed by a run of the same character at least as long
+			var closing = /^ {0,3}(`{3,}|~{3,})[ \t]*$/.exec(line);
+			if(closing && closing[1][0] === fence[0] && closing[1].length >= fence.length)
+				fence = null;
+
+			continue;
+		}
+
+		var opening = /^ {0,3}(`{3,}|~{3,})/.exec(line);
+		if(opening){
+			fence = opening[1];
+			block = {start: start, end: end};
+			blocks.push(block);
+			continue;
+		}
+
+		//an indented block is code when it follows a blank line, unless it continues a list item
+		var indented = /^( {4}|\t)/.test(line);
+		if(indented && !blank && (block && block.end === start || previousBlank && !inList)){
+			if(!block || block.end !== start){
+				block = {start: start, end: end};
+				blocks.push(block);
+			}
+			else
+				block.end = end;
+
+			previousBlank = false;
+			continue;
+		}
+
+		if(!blank && !indented)
+			inList = /^ {0,3}([-*+]|\d+[.)])[ \t]/.test(line);
+		previousBlank = blank;
+	}
+
+	return blocks;
+}
+
+/**
+ * Replaces the markup, code and links found by a pattern in a part of a document.
+ *
+ * @param {String} source The document.
+ * @param {Number} start The offset of the part.
+ * @param {Number} end The end offset of the part.
+ * @param {RegExp} pattern The global pattern of what to replace, whose `entity` group is the name of a character reference.
+ * @param {Object[]} replacements The list the `{start, end, text}` replacements are pushed to.
+ */
+function replaceMarkup(source, start, end, pattern, replacements){
+	var part = source.substring(start, end);
+	var match;
+
+	pattern.lastIndex = 0;
+	while(match = pattern.exec(part)){
+		var entity = match.groups.entity;
+		var text = (entity? decodeEntity(entity): null);
+
+		//what is left out still separates the words around it, as the text nodes of an element do in the page
+		replacements.push({start: start + match.index, end: start + match.index + match[0].length, text: (text === null? ' ': text)});
+	}
+}
+
+/**
+ * Extracts the prose of a document.
+ *
+ * @param {String} source The document.
+ * @param {String} type `text`, `markdown` or `html`.
+ * @returns {Object} The `text` of the prose, and the `offsets` in the document of each of its characters, plus one for the end.
+ */
+function extract(source, type){
+	var replacements = [];
+
+	if(type === 'markdown'){
+		var from = 0;
+
+		markdownCodeBlocks(source).forEach(function(block){
+			replaceMarkup(source, from, block.start, markdownPattern, replacements);
+			replacements.push({start: block.start, end: block.end, text: '\n'});
+			from = block.end;
+		});
+		replaceMarkup(source, from, source.length, markdownPattern, replacements);
+
+		//the definitions of reference links are all link targets, and list markers are not words even when a dash is a word character
+		var lineMarkup = /^ {0,3}\[[^\]]+\]:[ \t]*\S+.*$|^[ \t]*(?:[-*+]|\d+[.)])(?=[ \t])/gm;
+		var match;
+		while(match = lineMarkup.exec(source))
+			replacements.push({start: match.index, end: match.index + match[0].length, text: ' '});
+
+		replacements.sort(function(a, b){
+			return a.start - b.start;
+		});
+	}
+	else if(type === 'html')
+		replaceMarkup(source, 0, source.length, htmlPattern, replacements);
+
+	var text = '';
+	var offsets = [];
+	var position = 0;
+
+	function copy(end){
+		text += source.substring(position, end);
+		for(; position < end; position ++)
+			offsets.push(position);
+	}
+
+	replacements.forEach(function(replacement){
+		//a definition can overlap what was already replaced inside it
+		if(replacement.start < position)
+			return;
+
+		copy(replacement.start);
+		text += replacement.text;
+		for(var i = 0; i < replacement.text.length; i ++)
+			offsets.push(replacement.start);
+		position = replacement.end;
+	});
+	copy(source.length);
+	offsets.push(source.length);
+
+	return {text: text, offsets: offsets};
+}
+
+/**
+ * Returns a function turning offsets in a document into line and column numbers.
+ *
+ * @param {String} source The document.
+ * @returns {Function} The function, which returns the 1-based `line` and `column` of an offset, the column counting UTF-16 code units.
+ */
+function locator(source){
+	var lineStarts = [0];
+	var pattern = /\r\n?|\n/g;
+	var match;
+
+	while(match = pattern.exec(source))
+		lineStarts.push(match.index + match[0].length);
+
+	return function(offset){
+		var low = 0;
+		var high = lineStarts.length - 1;
+
+		while(low < high){
+			var middle = (low + high + 1) >> 1;
+
+			if(lineStarts[middle] <= offset)
+				low = middle;
+			else
+				high = middle - 1;
+		}
+
+		return {line: low + 1, column: offset - lineStarts[low] + 1};
+	};
+}
+
+module.exports = {
+	typeOf: typeOf,
+	extract: extract,
+	locator: locator
+};
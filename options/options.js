@@ -0,0 +1,382 @@
+var installedDictionaries = [];
+
+function showStatus(text){
+  var status = document.getElementById('status');
+
+  status.textContent = text;
+  setTimeout(function(){
+    status.textContent = '';
+  }, 2000);
+}
+
+//a checkbox per installed dictionary, plus the choice of the default one among the checked ones
+function createDictionaryPicker(container, codes){
+  var name = 'default-' + Math.random().toString(36).slice(2);
+
+  container.classList.add('dictionary-picker');
+  container.textContent = '';
+
+  installedDictionaries.forEach(function(dictionary){
+    var label = document.createElement('label');
+    var active = document.createElement('input');
+    var preferred = document.createElement('input');
+
+    active.type = 'checkbox';
+    active.value = dictionary.code;
+    active.className = 'active';
+    active.checked = (codes.indexOf(dictionary.code) !== -1);
+
+    preferred.type = 'radio';
+    preferred.name = name;
+    preferred.value = dictionary.code;
+    preferred.className = 'default';
+    preferred.title = 'Default dictionary';
+    preferred.checked = (codes[0] === dictionary.code);
+
+    label.appendChild(active);
+    label.appendChild(document.createTextNode(' ' + dictionary.name + ' (' + dictionary.code + ') '));
+    label.appendChild(preferred);
+    label.appendChild(document.createTextNode(' default'));
+    container.appendChild(label);
+  });
+}
+
+//the checked dictionaries of a picker, the default one first
+function readDictionaryPicker(container){
+  var preferred = container.querySelector('.default:checked');
+  var codes = Array.prototype.filter.call(container.querySelectorAll('.active'), function(input){
+    return input.checked;
+  }).map(function(input){
+    return input.value;
+  });
+
+  if(preferred && codes.indexOf(preferred.value) > 0){
+    codes.splice(codes.indexOf(preferred.value), 1);
+    codes.unshift(preferred.value);
+  }
+
+  return codes;
+}
+
+function addSiteRow(host, codes){
+  var row = document.createElement('tr');
+  var hostCell = document.createElement('td');
+  var pickerCell = document.createElement('td');
+  var removeCell = document.createElement('td');
+  var hostInput = document.createElement('input');
+  var remove = document.createElement('button');
+
+  hostInput.type = 'text';
+  hostInput.className = 'host';
+  hostInput.placeholder = 'example.com';
+  hostInput.value = host || '';
+  hostCell.appendChild(hostInput);
+
+  createDictionaryPicker(pickerCell, codes || []);
+
+  remove.type = 'button';
+  remove.textContent = 'Remove';
+  remove.addEventListener('click', function(){
+    row.remove();
+  });
+  removeCell.appendChild(remove);
+
+  row.appendChild(hostCell);
+  row.appendChild(pickerCell);
+  row.appendChild(removeCell);
+  document.querySelector('#site-dictionaries tbody').appendChild(row);
+}
+
+function readDictionarySettings(){
+  var sites = {};
+
+  Array.prototype.forEach.call(document.querySelectorAll('#site-dictionaries tbody tr'), function(row){
+    var host = row.querySelector('.host').value.trim().toLowerCase();
+    var codes = readDictionaryPicker(row.querySelector('.dictionary-picker'));
+
+    if(host && codes.length)
+      sites[host] = codes;
+  });
+
+  return {
+    global: readDictionaryPicker(document.getElementById('global-dictionaries')),
+    sites: sites
+  };
+}
+
+function addSiteRuleRow(host, rule){
+  var row = document.createElement('tr');
+  var mode = document.createElement('select');
+  var remove = document.createElement('button');
+  var labels = {manual: 'When asked', auto: 'On load', never: 'Never'};
+
+  function cell(child){
+    var td = document.createElement('td');
+
+    td.appendChild(child);
+    row.appendChild(td);
+  }
+
+  function textInput(className, placeholder, value){
+    var input = document.createElement('input');
+
+    input.type = 'text';
+    input.className = className;
+    input.placeholder = placeholder;
+    input.value = value || '';
+    return input;
+  }
+
+  rule = rule || {};
+
+  SiteRules.modes.forEach(function(value){
+    var option = document.createElement('option');
+
+    option.value = value;
+    option.textContent = labels[value];
+    option.selected = (rule.mode === value);
+    mode.appendChild(option);
+  });
+  mode.className = 'mode';
+
+  remove.type = 'button';
+  remove.textContent = 'Remove';
+  remove.addEventListener('click', function(){
+    row.remove();
+  });
+
+  cell(textInput('host', 'example.com', host));
+  cell(mode);
+  cell(textInput('exclude', 'pre, nav', rule.exclude));
+  cell(textInput('include', 'article', rule.include));
+  cell(remove);
+  document.querySelector('#site-rules tbody').appendChild(row);
+}
+
+//the rules by host, or an error message when a selector is not valid
+function readSiteRules(){
+  var rules = {};
+  var rows = document.querySelectorAll('#site-rules tbody tr');
+
+  for(var i = 0; i < rows.length; i ++){
+    var host = rows[i].querySelector('.host').value.trim().toLowerCase();
+    var rule = {
+      mode: rows[i].querySelector('.mode').value,
+      include: rows[i].querySelector('.include').value.trim(),
+      exclude: rows[i].querySelector('.exclude').value.trim()
+    };
+
+    if(!host)
+      continue;
+
+    if(rule.include && !SiteRules.isValidSelector(rule.include) || rule.exclude && !SiteRules.isValidSelector(rule.exclude))
+      return {error: 'Invalid selector in the rule of ' + host + '.'};
+
+    rules[host] = rule;
+  }
+
+  return {rules: rules};
+}
+
+//the sites whose pages are checked on load, and their subdomains
+function autoCheckedOrigins(rules){
+  return Object.keys(rules).filter(function(host){
+    return rules[host].mode === 'auto';
+  }).reduce(function(origins, host){
+    return origins.concat('*://' + host + '/*', '*://*.' + host + '/*');
+  }, []);
+}
+
+function readWordList(id){
+  return PersonalDictionary.parse(document.getElementById(id).value);
+}
+
+function writeWordList(id, entries){
+  document.getElementById(id).value = entries.join('\n');
+}
+
+function readPersonalDictionary(){
+  return new PersonalDictionary({
+    words: readWordList('personal-words'),
+    ignored: readWordList('ignored-words')
+  }).toJSON();
+}
+
+//merge the entries of a .dic-style file into a word list
+function importWordList(input){
+  var reader = new FileReader();
+  var id = input.dataset.list;
+
+  if(!input.files.length)
+    return;
+
+  reader.addEventListener('load', function(){
+    var entries = readWordList(id);
+
+    PersonalDictionary.parse(reader.result).forEach(function(entry){
+      if(entries.indexOf(entry) === -1)
+        entries.push(entry);
+    });
+    writeWordList(id, entries);
+    input.value = '';
+    showStatus('Imported, save to keep the words.');
+  });
+  reader.readAsText(input.files[0]);
+}
+
+function exportWordList(button){
+  var blob = new Blob([PersonalDictionary.serialize(readWordList(button.dataset.list))], {type: 'text/plain'});
+  var link = document.createElement('a');
+
+  link.href = URL.createObjectURL(blob);
+  link.download = button.dataset.file;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+//a checkbox per built-in filter, checked when the filter is on
+function createFilterPicker(disabled){
+  var container = document.getElementById('built-in-filters');
+
+  container.textContent = '';
+  TokenFilters.builtIn.forEach(function(filter){
+    var label = document.createElement('label');
+    var input = document.createElement('input');
+
+    input.type = 'checkbox';
+    input.value = filter.name;
+    input.checked = (disabled.indexOf(filter.name) === -1);
+
+    label.appendChild(input);
+    label.appendChild(document.createTextNode(' ' + filter.label));
+    container.appendChild(label);
+  });
+}
+
+//the filter settings, or an error message when a custom rule is not a valid regular expression
+function readTokenFilters(){
+  var custom = document.getElementById('custom-filters').value.split('\n').map(function(line){
+    return line.trim();
+  }).filter(Boolean);
+
+  for(var i = 0; i < custom.length; i ++){
+    try{
+      TokenFilters.compile(custom[i]);
+    }
+    catch(e){
+      return {error: 'Invalid custom rule ' + custom[i] + ': ' + e.message};
+    }
+  }
+
+  return {
+    disabled: Array.prototype.filter.call(document.querySelectorAll('#built-in-filters input'), function(input){
+      return !input.checked;
+    }).map(function(input){
+      return input.value;
+    }),
+    custom: custom
+  };
+}
+
+function restore(){
+  chrome.storage.sync.get({
+    dictionaries: Dictionaries.defaultSettings,
+    tokenFilters: TokenFilters.defaultSettings,
+    siteRules: SiteRules.defaultSettings,
+    checkOnNavigation: false
+  }, function(items){
+    var settings = items.dictionaries;
+
+    createDictionaryPicker(document.getElementById('global-dictionaries'), settings.global);
+    Object.keys(settings.sites).sort().forEach(function(host){
+      addSiteRow(host, settings.sites[host]);
+    });
+
+    PersonalDictionary.restore(chrome.storage.sync, function(lists){
+      writeWordList('personal-words', lists.words);
+      writeWordList('ignored-words', lists.ignored);
+    });
+
+    createFilterPicker(items.tokenFilters.disabled);
+    document.getElementById('custom-filters').value = items.tokenFilters.custom.join('\n');
+
+    Object.keys(items.siteRules).sort().forEach(function(host){
+      addSiteRuleRow(host, items.siteRules[host]);
+    });
+
+    document.getElementById('check-on-navigation').checked = items.checkOnNavigation;
+  });
+}
+
+function save(){
+  var tokenFilters = readTokenFilters();
+  var siteRules = readSiteRules();
+  var origins;
+
+  if(tokenFilters.error || siteRules.error){
+    showStatus(tokenFilters.error || siteRules.error);
+    return;
+  }
+
+  //checking a page on load needs the host permission of its site, activeTab only covers the pages the user activates the check on
+  origins = autoCheckedOrigins(siteRules.rules);
+  if(!origins.length)
+    return store(tokenFilters, siteRules.rules);
+
+  chrome.permissions.request({origins: origins}, function(granted){
+    if(granted)
+      store(tokenFilters, siteRules.rules);
+    else
+      showStatus('Not saved: checking the pages of a site on load needs access to it.');
+  });
+}
+
+function store(tokenFilters, siteRules){
+  chrome.storage.sync.set({
+    dictionaries: readDictionarySettings(),
+    tokenFilters: tokenFilters,
+    siteRules: siteRules,
+    checkOnNavigation: document.getElementById('check-on-navigation').checked
+  }, function(){
+    if(chrome.runtime.lastError)
+      return showStatus(chrome.runtime.lastError.message);
+
+    PersonalDictionary.store(chrome.storage.sync, readPersonalDictionary(), function(error){
+      showStatus(error? 'The personal dictionary was not saved: ' + error: 'Options saved.');
+    });
+  });
+}
+
+document.getElementById('add-site').addEventListener('click', function(){
+  addSiteRow('', []);
+});
+document.getElementById('add-site-rule').addEventListener('click', function(){
+  addSiteRuleRow('', null);
+});
+document.getElementById('save').addEventListener('click', save);
+//checking the next page of a tab needs the host permission, activeTab only covers the page the user activated the check on
+document.getElementById('check-on-navigation').addEventListener('change', function(){
+  var checkbox = this;
+
+  if(checkbox.checked)
+    chrome.permissions.request({origins: ['<all_urls>']}, function(granted){
+      checkbox.checked = granted;
+    });
+});
+Array.prototype.forEach.call(document.querySelectorAll('.import'), function(input){
+  input.addEventListener('change', function(){
+    importWordList(input);
+  });
+});
+Array.prototype.forEach.call(document.querySelectorAll('.export'), function(button){
+  button.addEventListener('click', function(){
+    exportWordList(button);
+  });
+});
+
+fetch(chrome.runtime.getURL('typo/dictionaries/index.json')).then(function(response){
+  return response.json();
+}).then(function(dictionaries){
+  installedDictionaries = dictionaries;
+  restore();
+});
@@ -0,0 +1,155 @@
+var tabId = null;
+//the report of the page: the distinct misspelled words, with their count and language
+var entries = [];
+//word -> promise of its suggestions, asked for only when its row scrolls into view or is clicked, as each one takes the engine a while
+var suggestions = {};
+//row -> function filling its suggestions
+var pendingRows = new Map();
+var visibleRows = new IntersectionObserver(function(changes){
+  changes.forEach(function(change){
+    if(change.isIntersecting)
+      showSuggestions(change.target);
+  });
+});
+
+function sendToTab(message, callback){
+  chrome.tabs.sendMessage(tabId, message, function(response){
+    //the page has navigated away, or cannot be checked
+    void chrome.runtime.lastError;
+    if(callback)
+      callback(response);
+  });
+}
+
+function suggestionsFor(entry){
+  if(!suggestions.hasOwnProperty(entry.word))
+    suggestions[entry.word] = new Promise(function(resolve){
+      sendToTab({command: 'suggest-word', word: entry.word, language: entry.language}, function(response){
+        resolve(response || []);
+      });
+    });
+
+  return suggestions[entry.word];
+}
+
+function showSuggestions(row){
+  var show = pendingRows.get(row);
+
+  if(show){
+    pendingRows.delete(row);
+    visibleRows.unobserve(row);
+    show();
+  }
+}
+
+function render(){
+  var tbody = document.querySelector('#report tbody');
+  var total = entries.reduce(function(total, entry){
+    return total + entry.count;
+  }, 0);
+
+  document.getElementById('summary').textContent = (total?
+    total + ' misspelling' + (total === 1? '': 's') + ', ' + entries.length + ' distinct word' + (entries.length === 1? '': 's'):
+    'No misspellings found.');
+
+  tbody.textContent = '';
+  pendingRows.clear();
+  visibleRows.disconnect();
+  entries.forEach(function(entry){
+    var row = document.createElement('tr');
+    var word = document.createElement('td');
+    var count = document.createElement('td');
+    var cell = document.createElement('td');
+
+    word.textContent = entry.word;
+    count.textContent = entry.count;
+    count.className = 'count';
+    cell.className = 'suggestions';
+    pendingRows.set(row, function(){
+      suggestionsFor(entry).then(function(list){
+        cell.textContent = list.slice(0, 3).join(', ');
+      });
+    });
+    visibleRows.observe(row);
+
+    row.appendChild(word);
+    row.appendChild(count);
+    row.appendChild(cell);
+    row.title = 'Show the next occurrence';
+    row.addEventListener('click', function(){
+      showSuggestions(row);
+      sendToTab({command: 'show-misspelling', word: entry.word});
+    });
+    tbody.appendChild(row);
+  });
+}
+
+function refresh(){
+  sendToTab({command: 'misspelling-report'}, function(report){
+    if(!report)
+      return;
+
+    entries = report;
+    render();
+  });
+}
+
+function toCSV(rows){
+  return rows.map(function(row){
+    return row.map(function(value){
+      value = String(value);
+      return (/[",\n]/.test(value)? '"' + value.replace(/"/g, '""') + '"': value);
+    }).join(',');
+  }).join('\n') + '\n';
+}
+
+//the report with the suggestions of every word, as CSV or JSON
+function exportReport(format){
+  Promise.all(entries.map(suggestionsFor)).then(function(lists){
+    var rows = entries.map(function(entry, i){
+      return {word: entry.word, count: entry.count, suggestions: lists[i]};
+    });
+    var data = (format === 'json'?
+      JSON.stringify(rows, null, 2):
+      toCSV([['word', 'count', 'suggestions']].concat(rows.map(function(row){
+        return [row.word, row.count, row.suggestions.join(' ')];
+      }))));
+    var blob = new Blob([data], {type: format === 'json'? 'application/json': 'text/csv'});
+    var link = document.createElement('a');
+
+    link.href = URL.createObjectURL(blob);
+    link.download = 'misspellings.' + format;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  });
+}
+
+document.getElementById('previous').addEventListener('click', function(){
+  sendToTab({command: 'previous-misspelling'});
+});
+document.getElementById('next').addEventListener('click', function(){
+  sendToTab({command: 'next-misspelling'});
+});
+Array.prototype.forEach.call(document.querySelectorAll('.export'), function(button){
+  button.addEventListener('click', function(){
+    exportReport(button.dataset.format);
+  });
+});
+
+//the page reports its count whenever its marks change, the report follows
+chrome.runtime.onMessage.addListener(function(message, sender){
+  if(message.command === 'misspelling-count' && sender.tab && sender.tab.id === tabId)
+    refresh();
+});
+
+//opening the popup activates the check of the page, as the toolbar button did before the popup
+chrome.tabs.query({active: true, currentWindow: true}, function(tabs){
+  tabId = tabs[0].id;
+
+  chrome.runtime.sendMessage({command: 'bootstrap-tab', tabId: tabId}, function(injected){
+    if(injected)
+      refresh();
+    else
+      document.getElementById('summary').textContent = 'This page cannot be checked, or its site is set never to be checked.';
+  });
+});
@@ -1,28 +1,424 @@
-var bootstraped = false;
+//the service worker is started again whenever an event needs it, so nothing is kept here that cannot be rebuilt from storage or the tabs;
+//the engine, and the dictionaries it loads, live in an offscreen document instead, which outlives the service worker
+importScripts('/spell/dictionaries.js', '/spell/personal.js', '/spell/sites.js');
 
-function bootstrap(){
-  chrome.tabs.query({active: true, currentWindow: true}, function(tabs){
-    activeTabId = tabs[0].id
+//the content scripts, in the order they depend on each other
+var contentScripts = [
+  'spell/tokenizer.js',
+  'spell/filters.js',
+  'spell/dictionaries.js',
+  'spell/sites.js',
+  'spell/highlighter.js',
+  'spell/fields.js',
+  'spell/watcher.js',
+  'spell/spell.js'
+];
+//promise of the offscreen document running the engine
+var offscreenReady = null;
+//the rebuilds of the context menu, chained so the items of two words never mix, and the word and tab the last one was asked for
+var contextMenuBuilt = Promise.resolve();
+var contextMenuRequest = null;
+//the writes of the personal dictionary, chained so two words added in a row do not overwrite each other
+var personalDictionaryWritten = Promise.resolve();
 
-    chrome.tabs.insertCSS(activeTabId, {file: "spell/spell.css"});
-    chrome.tabs.executeScript(activeTabId, {file: "typo/typo.js"});
-    chrome.tabs.executeScript(activeTabId, {file: "spell/spell.js"});
-    bootstraped = true;
+//the dictionary settings and the personal dictionary, the latter stored in shards
+function readEngineSettings(callback){
+  chrome.storage.sync.get({dictionaries: Dictionaries.defaultSettings}, function(items){
+    PersonalDictionary.restore(chrome.storage.sync, function(lists){
+      callback({dictionaries: items.dictionaries, personalDictionary: lists});
+    });
   });
 }
 
-function toggleSpellCheck(){
-  if(!bootstraped)
-    bootstrap();
+//create the offscreen document, unless it is already there from before the service worker was stopped
+function openEngine(){
+  if(!offscreenReady)
+    offscreenReady = chrome.runtime.getContexts({contextTypes: ['OFFSCREEN_DOCUMENT']}).then(function(contexts){
+      if(!contexts.length)
+        return chrome.offscreen.createDocument({
+          url: 'spell/offscreen.html',
+          reasons: ['WORKERS'],
+          justification: 'Runs the spell check engine in a worker, so the dictionaries are not loaded again whenever the service worker starts.'
+        });
+    }).catch(function(e){
+      offscreenReady = null;
+      throw e;
+    });
+
+  return offscreenReady;
+}
+
+//send a request to the engine, opening it first if needed; the answer is empty when the dictionaries cannot be loaded
+function askEngine(message){
+  message.target = 'offscreen';
+
+  return openEngine().then(function(){
+    return new Promise(function(resolve){
+      chrome.runtime.sendMessage(message, function(response){
+        if(chrome.runtime.lastError){
+          //the document was closed, the next request opens it again
+          console.error('Spell Check: ' + chrome.runtime.lastError.message);
+          offscreenReady = null;
+        }
+        resolve(response);
+      });
+    });
+  }, function(e){
+    console.error('Spell Check: cannot start the engine: ' + e);
+  });
+}
+
+function hostOf(url){
+  try{
+    return new URL(url).hostname;
+  }
+  catch(e){
+    return '';
+  }
+}
+
+//tell whether the content scripts are already running in a tab: a suspended service worker forgets which tabs it injected them in
+function isBootstrapped(tabId, callback){
+  chrome.tabs.sendMessage(tabId, {command: 'ping'}, function(response){
+    //nobody answers in a tab without the content scripts
+    void chrome.runtime.lastError;
+    callback(!!response);
+  });
+}
+
+//the checking state of each tab lives in the session storage, which outlives the service worker but not the browser
+function getTabState(tabId, callback){
+  var key = 'tab:' + tabId;
+
+  chrome.storage.session.get(key, function(items){
+    callback(items[key] || null);
+  });
+}
+
+function setTabState(tabId, state){
+  var items = {};
+
+  items['tab:' + tabId] = state;
+  if(state)
+    chrome.storage.session.set(items);
   else
-    chrome.tabs.query({active: true, currentWindow: true}, function(tabs){
-      chrome.tabs.sendMessage(tabs[0].id, {command: 'toggle-spell-check'});
+    chrome.storage.session.remove('tab:' + tabId);
+}
+
+function setBadgeCount(tabId, count){
+  chrome.action.setBadgeText({tabId: tabId, text: count? String(count): ''});
+}
+
+//the rule the user set for the site of a tab, null when there is none or the address of the tab cannot be read
+function siteRuleOf(tabId, callback){
+  chrome.tabs.get(tabId, function(tab){
+    if(chrome.runtime.lastError)
+      return callback(null);
+
+    chrome.storage.sync.get({siteRules: SiteRules.defaultSettings}, function(items){
+      callback(SiteRules.ruleFor(items.siteRules, hostOf(tab.url || tab.pendingUrl || '')));
     });
+  });
+}
+
+function inject(tabId, callback){
+  siteRuleOf(tabId, function(rule){
+    if(rule && rule.mode === 'never'){
+      setTabState(tabId, null);
+      if(callback)
+        callback(false);
+      return;
+    }
+
+    chrome.scripting.insertCSS({target: {tabId: tabId}, files: ['spell/spell.css']});
+    chrome.scripting.executeScript({target: {tabId: tabId}, files: contentScripts}, function(){
+      //pages the extension may not script, or a tab navigated away since it was activated
+      if(chrome.runtime.lastError){
+        console.warn('Spell Check: cannot check tab ' + tabId + ': ' + chrome.runtime.lastError.message);
+        setTabState(tabId, null);
+      }
+      if(callback)
+        callback(!chrome.runtime.lastError);
+    });
+    setTabState(tabId, {checking: true});
+  });
+}
+
+function bootstrap(tab, callback){
+  isBootstrapped(tab.id, function(bootstrapped){
+    if(!bootstrapped)
+      inject(tab.id, callback);
+    else if(callback)
+      callback(true);
+  });
+}
+
+function toggleSpellCheck(tab){
+  isBootstrapped(tab.id, function(bootstrapped){
+    if(!bootstrapped)
+      return inject(tab.id);
+
+    chrome.tabs.sendMessage(tab.id, {command: 'toggle-spell-check'});
+    getTabState(tab.id, function(state){
+      setTabState(tab.id, {checking: !(state && state.checking)});
+    });
+  });
+}
+
+//a navigation or a reload drops the content scripts: forget the tab, or check the new page when the user asked to keep checking or the site
+//is set to be checked on load
+function restoreTab(tabId){
+  getTabState(tabId, function(state){
+    siteRuleOf(tabId, function(rule){
+      var auto = (rule && rule.mode === 'auto');
+
+      if(!state && !auto)
+        return;
+
+      isBootstrapped(tabId, function(bootstrapped){
+        //a navigation inside a single page application keeps the page, and its content scripts, alive
+        if(bootstrapped)
+          return;
+
+        chrome.storage.sync.get({checkOnNavigation: false}, function(items){
+          if(auto || items.checkOnNavigation && state.checking)
+            inject(tabId);
+          else
+            setTabState(tabId, null);
+        });
+      });
+    });
+  });
+}
+
+//rebuild the context menu for the misspelled word under the cursor, the suggestion is carried in the item id; the word and the tab the menu
+//is for are kept in the session storage, so a command is only sent to the page the menu was built for
+function showSuggestions(tabId, word, suggestions){
+  contextMenuBuilt = contextMenuBuilt.then(function(){
+    return buildContextMenu(tabId, word, suggestions);
+  });
 }
 
-chrome.browserAction.onClicked.addListener(bootstrap);
+//the promise of the menu, once every item of it is created
+function buildContextMenu(tabId, word, suggestions){
+  return new Promise(function(resolve){
+    chrome.contextMenus.removeAll(function(){
+      var items = [];
+      var pending;
+
+      void chrome.runtime.lastError;
+
+      if(!word){
+        chrome.storage.session.remove('contextMenu', resolve);
+        return;
+      }
+
+      chrome.storage.session.set({contextMenu: {tabId: tabId, word: word}});
+
+      suggestions.forEach(function(suggestion){
+        items.push({id: 'replace:' + suggestion, title: suggestion});
+      });
+      if(!suggestions.length)
+        items.push({id: 'no-suggestions', title: 'No suggestions', enabled: false});
+
+      items.push({id: 'separator', type: 'separator'});
+
+      if(suggestions.length){
+        items.push({id: 'replace-all', title: 'Replace all on page'});
+        suggestions.forEach(function(suggestion){
+          items.push({id: 'replace-all:' + suggestion, parentId: 'replace-all', title: suggestion});
+        });
+      }
+
+      items.push({id: 'ignore', title: 'Ignore "' + word + '"'});
+      items.push({id: 'ignore-all', title: 'Ignore all'});
+      items.push({id: 'add-word', title: 'Add word'});
+
+      pending = items.length;
+      items.forEach(function(item){
+        item.contexts = ['all'];
+        chrome.contextMenus.create(item, function(){
+          if(chrome.runtime.lastError)
+            console.warn('Spell Check: cannot add the menu item ' + item.id + ': ' + chrome.runtime.lastError.message);
+
+          if(-- pending === 0)
+            resolve();
+        });
+      });
+    });
+  });
+}
+
+//the items of the menu only make sense on the page they were built for
+function clearSuggestions(tabId){
+  if(contextMenuRequest && (tabId === undefined || contextMenuRequest.tabId === tabId))
+    contextMenuRequest = null;
+
+  chrome.storage.session.get('contextMenu', function(items){
+    if(items.contextMenu && (tabId === undefined || items.contextMenu.tabId === tabId))
+      showSuggestions(null, null, []);
+  });
+}
+
+chrome.tabs.onUpdated.addListener(function(tabId, changeInfo){
+  if(changeInfo.status === 'loading'){
+    setBadgeCount(tabId, 0);
+    clearSuggestions(tabId);
+  }
+  else if(changeInfo.status === 'complete')
+    restoreTab(tabId);
+});
+
+chrome.tabs.onRemoved.addListener(function(tabId){
+  setTabState(tabId, null);
+  clearSuggestions(tabId);
+});
+
+chrome.tabs.onActivated.addListener(function(){
+  clearSuggestions();
+});
+
+chrome.commands.onCommand.addListener(function(command, tab){
+  if(!tab)
+    return;
 
-chrome.commands.onCommand.addListener(function(command){
   if(command === 'toggle-spell-check')
-    toggleSpellCheck();
-});
\ No newline at end of file
+    toggleSpellCheck(tab);
+  else if(command === 'next-misspelling' || command === 'previous-misspelling')
+    chrome.tabs.sendMessage(tab.id, {command: command}, function(){
+      //the page is not being checked
+      void chrome.runtime.lastError;
+    });
+});
+
+//content scripts tokenize their text, the engine does the checking
+chrome.runtime.onMessage.addListener(function(message, sender, sendResponse){
+  var host = hostOf(sender.url);
+
+  if(message.command === 'tokenizer-rules' || message.command === 'check-words' || message.command === 'suggest')
+    askEngine({command: message.command, host: host, language: message.language, words: message.words, word: message.word})
+      .then(sendResponse);
+  else if(message.command === 'show-suggestions'){
+    if(!sender.tab)
+      return false;
+
+    var request = contextMenuRequest = (message.word? {tabId: sender.tab.id, word: message.word}: null);
+
+    if(!request)
+      showSuggestions(sender.tab.id, null, []);
+    else
+      askEngine({command: 'suggest', host: host, language: message.language, word: message.word}).then(function(suggestions){
+        //the pointer went to another word, or another page, while the engine was busy
+        if(contextMenuRequest === request)
+          showSuggestions(request.tabId, request.word, suggestions || []);
+      });
+    return false;
+  }
+  else if(message.command === 'engine-settings')
+    readEngineSettings(sendResponse);
+  else if(message.command === 'site-rules')
+    chrome.storage.sync.get({siteRules: SiteRules.defaultSettings}, function(items){
+      sendResponse(SiteRules.ruleFor(items.siteRules, host));
+    });
+  else if(message.command === 'bootstrap-tab'){
+    //only the popup may have the content scripts injected into a tab, a page could otherwise have them run in any other tab
+    if(sender.tab)
+      return false;
+
+    bootstrap({id: message.tabId}, sendResponse);
+  }
+  else if(message.command === 'misspelling-count'){
+    if(sender.tab)
+      setBadgeCount(sender.tab.id, message.count);
+    return false;
+  }
+  else if(message.command === 'add-to-personal-dictionary')
+    personalDictionaryWritten = personalDictionaryWritten.then(function(){
+      return new Promise(function(resolve){
+        PersonalDictionary.restore(chrome.storage.sync, function(lists){
+          var personal = new PersonalDictionary(lists);
+
+          if(message.ignore)
+            personal.ignore(message.word);
+          else
+            personal.add(message.word);
+
+          //the engine gets the new list through the change of the storage; the page gets the error to show
+          PersonalDictionary.store(chrome.storage.sync, personal.toJSON(), function(error){
+            if(error)
+              console.error('Spell Check: cannot save the personal dictionary: ' + error);
+            sendResponse(error);
+            resolve();
+          });
+        });
+      });
+    });
+  else
+    return false;
+
+  //the response is sent asynchronously
+  return true;
+});
+
+//have every checked tab check its page again
+function notifySettingsChanged(){
+  chrome.tabs.query({}, function(tabs){
+    tabs.forEach(function(tab){
+      chrome.tabs.sendMessage(tab.id, {command: 'dictionary-changed'}, function(){
+        //tabs without the content script have nobody listening
+        void chrome.runtime.lastError;
+      });
+    });
+  });
+}
+
+//reload the settings, then have the tabs check again; the content scripts ask for the token filters and the site rules again
+chrome.storage.onChanged.addListener(function(changes, areaName){
+  if(areaName !== 'sync')
+    return;
+
+  if(!changes.dictionaries && !PersonalDictionary.isChanged(changes)){
+    if(changes.tokenFilters || changes.siteRules)
+      notifySettingsChanged();
+    return;
+  }
+
+  //an engine not opened yet reads the settings when it opens
+  readEngineSettings(function(settings){
+    chrome.runtime.sendMessage({target: 'offscreen', command: 'configure', settings: settings}, function(){
+      void chrome.runtime.lastError;
+      notifySettingsChanged();
+    });
+  });
+});
+
+chrome.contextMenus.onClicked.addListener(function(info, tab){
+  var id = String(info.menuItemId);
+  var message;
+
+  if(id.indexOf('replace:') === 0)
+    message = {command: 'replace-word', replacement: id.substring('replace:'.length)};
+  else if(id.indexOf('replace-all:') === 0)
+    message = {command: 'replace-word', replacement: id.substring('replace-all:'.length), all: true};
+  else if(id === 'ignore')
+    message = {command: 'ignore-word'};
+  else if(id === 'ignore-all')
+    message = {command: 'ignore-all-word'};
+  else if(id === 'add-word')
+    message = {command: 'add-word'};
+  else
+    return;
+
+  chrome.storage.session.get('contextMenu', function(items){
+    //a menu left over from another page
+    if(!tab || !items.contextMenu || items.contextMenu.tabId !== tab.id)
+      return;
+
+    //the page checks that the menu was built for the word it was opened on
+    message.word = items.contextMenu.word;
+    chrome.tabs.sendMessage(tab.id, message, function(){
+      //the page navigated away since the menu was built
+      void chrome.runtime.lastError;
+    });
+  });
+});
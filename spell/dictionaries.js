@@ -0,0 +1,150 @@
+/**
+ * The dictionaries active on a page, routed by the language of the text.
+ *
+ * Text inside an element with a `lang` attribute goes to the active dictionaries of that language (`lang="it-CH"` goes to `it_IT`, say);
+ * text without a declared language, or in a language none of the active dictionaries covers, goes to the default one. A word is correct if
+ * any dictionary of its language scope accepts it. Dictionaries are loaded the first time some text needs them.
+ *
+ * @param {String[]} codes The codes of the active dictionaries, e.g. `['vec_IT', 'it_IT']`. The first one is the default.
+ * @param {Function} load Loads a dictionary given its code, returning the Typo instance.
+ */
+var Dictionaries = function(codes, load){
+  this.codes = codes;
+  this.load = load;
+  //code -> Typo
+  this.instances = {};
+  //language -> Tokenizer
+  this.tokenizers = {};
+};
+
+//the settings used where the user has not chosen anything yet
+Dictionaries.defaultSettings = {
+  global: ['vec_IT'],
+  sites: {}
+};
+
+/**
+ * Returns the language of a dictionary code or of a language tag, e.g. `vec` for both `vec_IT` and `vec-IT`.
+ *
+ * @param {String} code The dictionary code or language tag.
+ * @returns {String} The lowercase primary language subtag.
+ */
+Dictionaries.languageOf = function(code){
+  return (code || '').split(/[-_]/)[0].toLowerCase();
+};
+
+/**
+ * Returns the language declared for an element through the nearest `lang` attribute.
+ *
+ * @param {Element} elm The element.
+ * @returns {String} The language, or an empty string when none is declared.
+ */
+Dictionaries.languageOfElement = function(elm){
+  var scope = elm && elm.closest('[lang]');
+
+  return scope? Dictionaries.languageOf(scope.getAttribute('lang')): '';
+};
+
+/**
+ * Returns the active dictionary codes for a site.
+ *
+ * @param {Object} settings The stored settings: the `global` list and the per-host lists in `sites`.
+ * @param {String} host The host name of the page.
+ * @returns {String[]} The codes, the default one first.
+ */
+Dictionaries.codesFor = function(settings, host){
+  var sites = settings.sites || {};
+  var domains = Dictionaries.domainCandidates(host);
+
+  for(var i = 0; i < domains.length; i ++)
+    if(sites[domains[i]] && sites[domains[i]].length)
+      return sites[domains[i]];
+
+  return (settings.global && settings.global.length? settings.global: Dictionaries.defaultSettings.global);
+};
+
+/**
+ * Returns the domains whose settings apply to a host, the most specific first: a setting for example.com also applies to
+ * www.example.com. The site rules of sites.js are looked up the same way.
+ *
+ * @param {String} host The host name of the page, e.g. `www.example.com`.
+ * @returns {String[]} The host and its parent domains, e.g. `['www.example.com', 'example.com', 'com']`.
+ */
+Dictionaries.domainCandidates = function(host){
+  var domains = [];
+  var domain = host || '';
+  var dot;
+
+  while(domain){
+    domains.push(domain);
+
+    dot = domain.indexOf('.');
+    domain = (dot === -1? '': domain.substring(dot + 1));
+  }
+
+  return domains;
+};
+
+Dictionaries.prototype = {
+  get: function(code){
+    if(!this.instances.hasOwnProperty(code))
+      this.instances[code] = this.load(code);
+
+    return this.instances[code];
+  },
+
+  /**
+   * Returns the dictionaries of a language scope.
+   *
+   * @param {String} language The language of the text, empty when not declared.
+   * @returns {Typo[]} The dictionaries.
+   */
+  scope: function(language){
+    var codes = this.codes.filter(function(code){
+      return (language && Dictionaries.languageOf(code) === language);
+    });
+
+    if(!codes.length)
+      codes = this.codes.slice(0, 1);
+
+    return codes.map(this.get, this);
+  },
+
+  tokenizer: function(language){
+    if(!this.tokenizers.hasOwnProperty(language))
+      this.tokenizers[language] = new Tokenizer(this.scope(language));
+
+    return this.tokenizers[language];
+  },
+
+  check: function(word, language){
+    return this.scope(language).some(function(dict){
+      return dict.check(word);
+    });
+  },
+
+  /**
+   * Returns the suggestions of every dictionary of a language scope, the ones of the first dictionary first.
+   *
+   * @param {String} word The misspelled word.
+   * @param {String} language The language of the text.
+   * @param {Number} [limit=5] The maximum number of suggestions to return.
+   * @returns {String[]} The suggestions.
+   */
+  suggest: function(word, language, limit){
+    var suggestions = [];
+
+    limit = limit || 5;
+    this.scope(language).forEach(function(dict){
+      dict.suggest(word, limit).forEach(function(suggestion){
+        if(suggestions.indexOf(suggestion) === -1)
+          suggestions.push(suggestion);
+      });
+    });
+
+    return suggestions.slice(0, limit);
+  }
+};
+
+if(typeof module !== 'undefined' && module.exports)
+  module.exports = Dictionaries;
@@ -0,0 +1,153 @@
+/**
+ * The spell check engine, living once in the background page and shared by every tab.
+ *
+ * Dictionaries are loaded the first time a tab needs them and then kept, and verdicts are cached per set of active dictionaries and
+ * language, so a word checked in one tab is not checked again in the next one. Content scripts only tokenize their text and ask for
+ * verdicts and suggestions.
+ *
+ * @param {Function} load Loads a dictionary given its code, returning a promise of the Typo instance.
+ */
+var SpellEngine = function(load){
+  this.load = load;
+  //code -> promise of a Typo
+  this.loading = {};
+  //code -> Typo, once loaded
+  this.instances = {};
+  //active codes -> Dictionaries
+  this.dictionaries = {};
+  //active codes and language -> Map of word -> whether it is correct
+  this.verdicts = {};
+  this.settings = Dictionaries.defaultSettings;
+  this.personal = new PersonalDictionary();
+};
+
+//the number of verdicts kept per language scope before the cache is emptied
+SpellEngine.cacheSize = 100000;
+
+SpellEngine.prototype = {
+  /**
+   * Sets the dictionary settings and the personal dictionary, dropping what was cached with the previous ones.
+   *
+   * @param {Object} settings The dictionary settings, as stored by the options page.
+   * @param {Object} personalDictionary The lists of the personal dictionary.
+   */
+  configure: function(settings, personalDictionary){
+    var previous = this.personal.flaggedEntries();
+    var flagged;
+
+    this.settings = settings;
+    this.personal = new PersonalDictionary(personalDictionary);
+    this.dictionaries = {};
+    this.verdicts = {};
+
+    //a dictionary cannot forget the forms of a word: when a flagged word is removed, or its flags change, the loaded dictionaries are
+    //dropped and loaded again with the new list
+    flagged = this.personal.flaggedEntries();
+    if(previous.some(function(entry){
+      return flagged.indexOf(entry) === -1;
+    })){
+      this.loading = {};
+      this.instances = {};
+      return;
+    }
+
+    Object.keys(this.instances).forEach(function(code){
+      this.personal.applyTo(this.instances[code]);
+    }, this);
+  },
+
+  /**
+   * Loads a dictionary, once.
+   *
+   * @param {String} code The code of the dictionary.
+   * @returns {Promise} A promise of the Typo instance.
+   */
+  get: function(code){
+    var self = this;
+
+    if(!this.loading.hasOwnProperty(code))
+      this.loading[code] = this.load(code).then(function(dict){
+        self.personal.applyTo(dict);
+        self.instances[code] = dict;
+        return dict;
+      }, function(e){
+        //let a later request try again
+        delete self.loading[code];
+        throw e;
+      });
+
+    return this.loading[code];
+  },
+
+  /**
+   * Returns the dictionaries active on a site, once they are all loaded.
+   *
+   * @param {String} host The host name of the page.
+   * @returns {Promise} A promise of the Dictionaries.
+   */
+  dictionariesFor: function(host){
+    var self = this;
+    var codes = Dictionaries.codesFor(this.settings, host);
+    var key = codes.join(',');
+
+    if(!this.dictionaries.hasOwnProperty(key))
+      this.dictionaries[key] = Promise.all(codes.map(this.get, this)).then(function(){
+        return new Dictionaries(codes, function(code){
+          return self.instances[code];
+        });
+      }, function(e){
+        delete self.dictionaries[key];
+        throw e;
+      });
+
+    return this.dictionaries[key];
+  },
+
+  /**
+   * Returns what a content script needs to build the tokenizer of a language scope: the WORDCHARS and BREAK directives of its dictionaries.
+   *
+   * @param {String} host The host name of the page.
+   * @param {String} language The language of the text.
+   * @returns {Promise} A promise of one `{flags: {WORDCHARS}, breakTable}` object per dictionary, as the Tokenizer constructor takes them.
+   */
+  tokenizerRules: function(host, language){
+    return this.dictionariesFor(host).then(function(dictionaries){
+      return dictionaries.scope(language).map(function(dict){
+        return {flags: {WORDCHARS: dict.flags.WORDCHARS}, breakTable: dict.breakTable};
+      });
+    });
+  },
+
+  /**
+   * Checks a batch of words.
+   *
+   * @param {String} host The host name of the page.
+   * @param {String} language The language of the text.
+   * @param {String[]} words The words.
+   * @returns {Promise} A promise of whether each word is correct.
+   */
+  check: function(host, language, words){
+    var self = this;
+
+    return this.dictionariesFor(host).then(function(dictionaries){
+      var key = dictionaries.codes.join(',') + '|' + language;
+      var verdicts = self.verdicts[key] || (self.verdicts[key] = new Map());
+
+      if(verdicts.size > SpellEngine.cacheSize)
+        verdicts.clear();
+
+      return words.map(function(word){
+        if(!verdicts.has(word))
+          verdicts.set(word, self.personal.accepts(word) || dictionaries.check(word, language));
+
+        return verdicts.get(word);
+      });
+    });
+  },
+
+  suggest: function(host, language, word){
+    return this.dictionariesFor(host).then(function(dictionaries){
+      return dictionaries.suggest(word, language);
+    });
+  }
+};
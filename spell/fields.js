@@ -0,0 +1,283 @@
+/**
+ * Spell checks the text typed into form fields: textareas and text inputs.
+ *
+ * A field is checked when it gets focus and then again, debounced, while the user types. Its value, caret and selection are never touched:
+ * the text is laid out again in a hidden mirror element with the same metrics as the field, and the marks are drawn by a Highlighter in
+ * its overlay, aligned to where the words sit inside the field.
+ *
+ * @param {Function} findMisspellings Returns the misspelled tokens of a text, or a promise of them, given the text and the element it belongs to.
+ * @param {Number} [delay=400] How long to wait after the last keystroke before checking again, in milliseconds.
+ */
+var FieldChecker = function(findMisspellings, delay){
+  var self = this;
+
+  this.findMisspellings = findMisspellings;
+  this.delay = delay || 400;
+  //field -> {marks, timer}
+  this.fields = new Map();
+  this.highlighter = new Highlighter('misspelled', function(){
+    return self.boxes();
+  });
+
+  this.mirror = document.createElement('div');
+  this.mirror.className = 'ext-spell-check-mirror';
+  document.documentElement.appendChild(this.mirror);
+
+  document.addEventListener('focusin', function(event){
+    if(self.accepts(event.target) && !self.fields.has(event.target))
+      self.check(event.target);
+  }, true);
+  document.addEventListener('input', function(event){
+    if(self.accepts(event.target))
+      self.schedule(event.target);
+  }, true);
+};
+
+FieldChecker.selector = 'textarea, input:not([type]), input[type=text], input[type=search]';
+
+//the properties that decide where the text of a field is laid out
+FieldChecker.mirroredProperties = [
+  'direction', 'boxSizing', 'fontFamily', 'fontSize', 'fontStyle', 'fontVariant', 'fontWeight', 'fontStretch', 'letterSpacing',
+  'wordSpacing', 'lineHeight', 'tabSize', 'textAlign', 'textIndent', 'textTransform', 'paddingTop', 'paddingRight', 'paddingBottom',
+  'paddingLeft', 'borderTopWidth', 'borderRightWidth', 'borderBottomWidth', 'borderLeftWidth', 'borderStyle'
+];
+
+FieldChecker.prototype = {
+  accepts: function(elm){
+    return elm instanceof Element && elm.matches(FieldChecker.selector) && elm.spellcheck !== false;
+  },
+
+  /**
+   * Checks every field inside an element, the element included.
+   *
+   * @param {Element} root The element to look for fields in.
+   */
+  watch: function(root){
+    if(this.accepts(root))
+      this.check(root);
+
+    Array.prototype.forEach.call(root.querySelectorAll(FieldChecker.selector), function(field){
+      if(this.accepts(field))
+        this.check(field);
+    }, this);
+  },
+
+  /**
+   * Checks a field once the user stops typing.
+   *
+   * @param {HTMLInputElement|HTMLTextAreaElement} field The field.
+   */
+  schedule: function(field){
+    var self = this;
+    var state = this.fields.get(field) || {marks: []};
+
+    clearTimeout(state.timer);
+    state.timer = setTimeout(function(){
+      self.check(field);
+    }, this.delay);
+    this.fields.set(field, state);
+  },
+
+  /**
+   * Checks a field right away.
+   *
+   * @param {HTMLInputElement|HTMLTextAreaElement} field The field.
+   */
+  check: function(field){
+    var self = this;
+    var value = field.value;
+    var state = {marks: (this.fields.get(field) || {marks: []}).marks};
+
+    this.fields.set(field, state);
+    Promise.resolve(this.findMisspellings(value, field)).then(function(marks){
+      //drop the verdicts on a value the user has edited, or on a field forgotten, in the meantime
+      if(self.fields.get(field) !== state || field.value !== value)
+        return;
+
+      state.marks = marks;
+      self.highlighter.scheduleRender();
+    });
+  },
+
+  /**
+   * Checks again every field, e.g. after a word has been ignored.
+   */
+  checkAll: function(){
+    this.fields.forEach(function(state, field){
+      this.check(field);
+    }, this);
+  },
+
+  forget: function(field){
+    var state = this.fields.get(field);
+
+    if(state){
+      clearTimeout(state.timer);
+      this.fields.delete(field);
+      this.highlighter.scheduleRender();
+    }
+  },
+
+  //the number of marks in the fields still on the page
+  count: function(){
+    var count = 0;
+
+    this.fields.forEach(function(state, field){
+      if(field.isConnected)
+        count += state.marks.length;
+    });
+
+    return count;
+  },
+
+  /**
+   * Returns the mark of a field under a point of the viewport.
+   *
+   * @param {HTMLInputElement|HTMLTextAreaElement} field The field.
+   * @param {Number} x The horizontal coordinate, relative to the viewport.
+   * @param {Number} y The vertical coordinate, relative to the viewport.
+   * @returns {Object} The mark, with its `word` and its `start` and `end` offsets inside the field's value, or `null`.
+   */
+  markAt: function(field, x, y){
+    var state = this.fields.get(field);
+    var rects;
+
+    if(!state)
+      return null;
+
+    rects = this.layout(field, state.marks);
+    for(var i = 0; i < rects.length; i ++)
+      if(rects[i].some(function(rect){
+        return rect.left <= x && x <= rect.right && rect.top <= y && y <= rect.bottom;
+      }))
+        return state.marks[i];
+
+    return null;
+  },
+
+  /**
+   * Replaces a marked word, then lets the page know the value changed.
+   *
+   * @param {HTMLInputElement|HTMLTextAreaElement} field The field.
+   * @param {Object} mark The mark, as returned by `markAt`.
+   * @param {String} replacement The text to put in place of the word.
+   */
+  replace: function(field, mark, replacement){
+    if(field.value.substring(mark.start, mark.end) !== mark.word)
+      return;
+
+    field.setRangeText(replacement, mark.start, mark.end);
+    field.dispatchEvent(new Event('input', {bubbles: true}));
+    this.check(field);
+  },
+
+  /**
+   * Replaces a word in every field.
+   *
+   * @param {String} word The misspelled word.
+   * @param {String} replacement The text to put in place of the word.
+   */
+  replaceAll: function(word, replacement){
+    this.fields.forEach(function(state, field){
+      //replace from the end, so the offsets of the marks still to replace stay valid
+      state.marks.slice().reverse().forEach(function(mark){
+        if(mark.word === word)
+          this.replace(field, mark, replacement);
+      }, this);
+    }, this);
+  },
+
+  toggle: function(){
+    this.highlighter.toggle();
+  },
+
+  /**
+   * Lays out the value of a field in the mirror element and measures where its marks are.
+   *
+   * @param {HTMLInputElement|HTMLTextAreaElement} field The field.
+   * @param {Object[]} marks The marks of the field.
+   * @returns {DOMRect[][]} For each mark, the boxes it covers inside the field, relative to the viewport.
+   */
+  layout: function(field, marks){
+    var mirror = this.mirror;
+    var style = window.getComputedStyle(field);
+    var fieldRect = field.getBoundingClientRect();
+    var clip = {
+      left: fieldRect.left + field.clientLeft,
+      top: fieldRect.top + field.clientTop,
+      right: fieldRect.left + field.clientLeft + field.clientWidth,
+      bottom: fieldRect.top + field.clientTop + field.clientHeight
+    };
+    var paddingX = parseFloat(style.paddingLeft) + parseFloat(style.paddingRight);
+    var paddingY = parseFloat(style.paddingTop) + parseFloat(style.paddingBottom);
+    var text, mirrorRect;
+
+    FieldChecker.mirroredProperties.forEach(function(property){
+      mirror.style[property] = style[property];
+    });
+    mirror.style.boxSizing = 'content-box';
+    if(field.tagName === 'TEXTAREA'){
+      mirror.style.whiteSpace = 'pre-wrap';
+      mirror.style.overflowWrap = 'break-word';
+      mirror.style.width = (field.clientWidth - paddingX) + 'px';
+    }
+    else{
+      //a single line, vertically centered as the browser does with inputs
+      mirror.style.whiteSpace = 'pre';
+      mirror.style.width = 'auto';
+      mirror.style.lineHeight = (field.clientHeight - paddingY) + 'px';
+    }
+
+    mirror.textContent = field.value;
+    text = mirror.firstChild;
+    mirrorRect = mirror.getBoundingClientRect();
+
+    return marks.map(function(mark){
+      var range = document.createRange();
+
+      if(!text || mark.end > text.length)
+        return [];
+
+      range.setStart(text, mark.start);
+      range.setEnd(text, mark.end);
+
+      return Array.prototype.map.call(range.getClientRects(), function(rect){
+        var left = fieldRect.left + (rect.left - mirrorRect.left) - field.scrollLeft;
+        var top = fieldRect.top + (rect.top - mirrorRect.top) - field.scrollTop;
+
+        return {left: left, top: top, right: left + rect.width, bottom: top + rect.height};
+      }).filter(function(rect){
+        return rect.right > clip.left && rect.left < clip.right && rect.bottom > clip.top && rect.top < clip.bottom;
+      }).map(function(rect){
+        return {
+          left: Math.max(rect.left, clip.left),
+          top: Math.max(rect.top, clip.top),
+          right: Math.min(rect.right, clip.right),
+          bottom: Math.min(rect.bottom, clip.bottom)
+        };
+      });
+    });
+  },
+
+  /**
+   * Returns the boxes of the marks of every field still on the page, for the Highlighter to draw.
+   *
+   * @returns {Object[]} The boxes, relative to the viewport.
+   */
+  boxes: function(){
+    var boxes = [];
+
+    this.fields.forEach(function(state, field){
+      if(!field.isConnected){
+        this.forget(field);
+        return;
+      }
+
+      this.layout(field, state.marks).forEach(function(rects){
+        Array.prototype.push.apply(boxes, rects);
+      });
+    }, this);
+
+    return boxes;
+  }
+};
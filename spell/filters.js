@@ -0,0 +1,127 @@
+/**
+ * Leaves out of the spell check the tokens that are not words of any language: numbers, web and e-mail addresses, identifiers, colors...
+ *
+ * Each filter is a regular expression matched on the text before it is checked, and the tokens overlapping a match are skipped, so a web
+ * address is skipped as a whole even though the tokenizer splits it into words. The built-in filters can be turned off one by one, and
+ * custom regular expressions added to them.
+ *
+ * @param {Object} [settings] The stored settings: `disabled`, the names of the built-in filters turned off, and `custom`, the sources of
+ *   the custom regular expressions.
+ */
+var TokenFilters = function(settings){
+  var disabled = (settings && settings.disabled) || [];
+  var custom = (settings && settings.custom) || [];
+
+  this.patterns = TokenFilters.builtIn.filter(function(filter){
+    return disabled.indexOf(filter.name) === -1;
+  }).map(function(filter){
+    return new RegExp(filter.pattern, 'gu');
+  });
+
+  custom.forEach(function(source){
+    try{
+      this.patterns.push(TokenFilters.compile(source));
+    }
+    catch(e){
+      console.warn('Spell Check: ignoring the filter ' + source + ': ' + e.message);
+    }
+  }, this);
+};
+
+//what cannot come right before or after a skipped token without being part of it
+TokenFilters.tokenStart = '(?<![\\p{L}\\p{M}\\p{N}_])';
+TokenFilters.tokenEnd = '(?![\\p{L}\\p{M}\\p{N}_])';
+
+//the built-in filters, in the order the options page lists them
+TokenFilters.builtIn = [
+  {name: 'numbers', label: 'Numbers, e.g. 1984', pattern: TokenFilters.tokenStart + '\\p{N}+' + TokenFilters.tokenEnd},
+  {name: 'urls', label: 'Web addresses, e.g. https://example.com/page', pattern: '(?:\\b[a-zA-Z][a-zA-Z\\d+.-]*://|\\bwww\\.)[^\\s<>"\'`]+'},
+  {name: 'emails', label: 'E-mail addresses, e.g. name@example.com', pattern: '[\\p{L}\\p{N}._%+-]+@[\\p{L}\\p{N}-]+(?:\\.[\\p{L}\\p{N}-]+)+'},
+  {name: 'camelCase', label: 'camelCase identifiers, e.g. getElementById', pattern: '[\\p{L}\\p{N}]*\\p{Ll}\\p{Lu}[\\p{L}\\p{N}]*'},
+  {name: 'snakeCase', label: 'snake_case identifiers, e.g. max_length', pattern: '[\\p{L}\\p{N}_]*[\\p{L}\\p{N}]_+[\\p{L}\\p{N}][\\p{L}\\p{N}_]*'},
+  {name: 'hexColors', label: 'Hexadecimal colors, e.g. #ff8800', pattern: '#(?:[\\da-fA-F]{3,4}|[\\da-fA-F]{6}|[\\da-fA-F]{8})' + TokenFilters.tokenEnd},
+  {name: 'versions', label: 'Version numbers, e.g. v2.1.0', pattern: TokenFilters.tokenStart + '(?:[vV]?\\d+(?:\\.\\d+)+(?:-[\\p{L}\\p{N}.]+)?|[vV]\\d+)' + TokenFilters.tokenEnd},
+  {name: 'units', label: 'Numbers with a unit, e.g. 10km', pattern: TokenFilters.tokenStart + '\\d+(?:[.,]\\d+)?\\p{L}+' + TokenFilters.tokenEnd},
+  {name: 'hashtags', label: 'Hashtags, e.g. #venessia', pattern: TokenFilters.tokenStart + '#[\\p{L}\\p{M}\\p{N}_]+'},
+  {name: 'mentions', label: 'Mentions, e.g. @someone', pattern: '(?<![\\p{L}\\p{M}\\p{N}_.@])@[\\p{L}\\p{M}\\p{N}_.-]*[\\p{L}\\p{M}\\p{N}_]'}
+];
+
+//the settings used where the user has not changed anything yet: every built-in filter is on
+TokenFilters.defaultSettings = {
+  disabled: [],
+  custom: []
+};
+
+/**
+ * Compiles the source of a custom filter.
+ *
+ * @param {String} source The regular expression, without slashes nor flags; it is matched with Unicode semantics.
+ * @returns {RegExp} The regular expression.
+ * @throws {SyntaxError} When the source is not a valid regular expression.
+ */
+TokenFilters.compile = function(source){
+  return new RegExp(source, 'gu');
+};
+
+TokenFilters.prototype = {
+  /**
+   * Finds the parts of a text the filters match.
+   *
+   * @param {String} text The text.
+   * @returns {Object[]} The `start` and `end` offsets of the parts, sorted and merged where they overlap.
+   */
+  spans: function(text){
+    var spans = [];
+    var merged = [];
+
+    this.patterns.forEach(function(pattern){
+      var match;
+
+      pattern.lastIndex = 0;
+      while(match = pattern.exec(text)){
+        //a custom pattern may match the empty string
+        if(!match[0]){
+          pattern.lastIndex ++;
+          continue;
+        }
+
+        spans.push({start: match.index, end: match.index + match[0].length});
+      }
+    });
+
+    spans.sort(function(a, b){
+      return a.start - b.start;
+    }).forEach(function(span){
+      var last = merged[merged.length - 1];
+
+      if(last && span.start <= last.end)
+        last.end = Math.max(last.end, span.end);
+      else
+        merged.push(span);
+    });
+
+    return merged;
+  },
+
+  /**
+   * Removes the tokens the filters match from the tokens of a text.
+   *
+   * @param {String} text The text.
+   * @param {Object[]} tokens The tokens of the text, in order, as the Tokenizer returns them.
+   * @returns {Object[]} The tokens to check.
+   */
+  apply: function(text, tokens){
+    var spans = this.spans(text);
+    var next = 0;
+
+    return tokens.filter(function(token){
+      while(next < spans.length && spans[next].end <= token.start)
+        next ++;
+
+      return !(next < spans.length && spans[next].start < token.end);
+    });
+  }
+};
+
+if(typeof module !== 'undefined' && module.exports)
+  module.exports = TokenFilters;
@@ -0,0 +1,227 @@
+/**
+ * Marks ranges of text without touching the page's DOM.
+ *
+ * Where the CSS Custom Highlight API is available, the ranges are registered as a named highlight and styled through
+ * `::highlight(name)`; elsewhere a box is drawn over each range in an overlay that sits on top of the page and lets every event through.
+ * The overlay is an `.ext-spell-check` element holding one `.misspelled` box per line of a marked range, so it is styled by spell.css.
+ *
+ * @param {String} [name='misspelled'] The name of the highlight, also used as the class of the overlay boxes.
+ * @param {Function} [boxes] Returns the boxes to draw, relative to the viewport, in place of those of the marked ranges; they are then always
+ *   drawn in the overlay. The FieldChecker draws the marks of the form fields this way, as their text is in no range of the page.
+ */
+var Highlighter = function(name, boxes){
+  this.name = name || 'misspelled';
+  //text node -> ranges marked inside it
+  this.ranges = new Map();
+  this.visible = true;
+  this.renderPending = false;
+  this.boxes = boxes || this.rangeBoxes;
+
+  if(!boxes && typeof CSS !== 'undefined' && CSS.highlights && typeof Highlight === 'function'){
+    this.highlight = new Highlight();
+    CSS.highlights.set(this.name, this.highlight);
+  }
+  else{
+    this.overlay = document.createElement('div');
+    this.overlay.className = 'ext-spell-check ext-spell-check-overlay';
+    document.documentElement.appendChild(this.overlay);
+
+    var self = this;
+    var scheduleRender = function(){
+      self.scheduleRender();
+    };
+    window.addEventListener('resize', scheduleRender);
+    //scrollable elements move their content without moving the overlay
+    document.addEventListener('scroll', scheduleRender, true);
+  }
+};
+
+Highlighter.prototype = {
+  /**
+   * Marks ranges of a text node, replacing the ones previously marked inside it.
+   *
+   * @param {Text} node The text node.
+   * @param {Object[]} marks The offsets to mark, each one with a `start` and an `end` inside the node's value.
+   */
+  mark: function(node, marks){
+    this.unmark(node);
+
+    if(!marks.length)
+      return;
+
+    var ranges = marks.map(function(mark){
+      var range = document.createRange();
+      range.setStart(node, mark.start);
+      range.setEnd(node, mark.end);
+      return range;
+    });
+    this.ranges.set(node, ranges);
+
+    if(this.highlight)
+      ranges.forEach(function(range){
+        this.highlight.add(range);
+      }, this);
+    else
+      this.scheduleRender();
+  },
+
+  /**
+   * Removes the marks of a text node.
+   *
+   * @param {Text} node The text node.
+   */
+  unmark: function(node){
+    var ranges = this.ranges.get(node);
+    if(!ranges)
+      return;
+
+    this.ranges.delete(node);
+
+    if(this.highlight)
+      ranges.forEach(function(range){
+        this.highlight.delete(range);
+      }, this);
+    else
+      this.scheduleRender();
+  },
+
+  /**
+   * Removes every mark.
+   */
+  clear: function(){
+    this.ranges.clear();
+
+    if(this.highlight)
+      this.highlight.clear();
+    else
+      this.scheduleRender();
+  },
+
+  /**
+   * Returns the marked range that contains an offset of a text node.
+   *
+   * @param {Node} node The text node, as returned by `document.caretRangeFromPoint`.
+   * @param {Number} offset The offset inside the node.
+   * @returns {Range} The marked range, or `null`.
+   */
+  rangeAt: function(node, offset){
+    var ranges = this.ranges.get(node) || [];
+
+    for(var i = 0; i < ranges.length; i ++)
+      if(ranges[i].startOffset <= offset && offset <= ranges[i].endOffset)
+        return ranges[i];
+
+    return null;
+  },
+
+  /**
+   * Returns every marked range.
+   *
+   * @returns {Range[]} The marked ranges, in no particular order.
+   */
+  allRanges: function(){
+    var all = [];
+
+    this.ranges.forEach(function(ranges){
+      all = all.concat(ranges);
+    });
+
+    return all;
+  },
+
+  //the number of marked ranges
+  count: function(){
+    var count = 0;
+
+    this.ranges.forEach(function(ranges){
+      count += ranges.length;
+    });
+
+    return count;
+  },
+
+  show: function(){
+    this.visible = true;
+
+    if(this.highlight)
+      CSS.highlights.set(this.name, this.highlight);
+    else{
+      this.overlay.hidden = false;
+      this.scheduleRender();
+    }
+  },
+
+  hide: function(){
+    this.visible = false;
+
+    if(this.highlight)
+      CSS.highlights.delete(this.name);
+    else
+      this.overlay.hidden = true;
+  },
+
+  toggle: function(){
+    if(this.visible)
+      this.hide();
+    else
+      this.show();
+  },
+
+  /**
+   * Redraws the overlay on the next animation frame, coalescing multiple requests.
+   */
+  scheduleRender: function(){
+    if(this.renderPending || !this.overlay)
+      return;
+
+    this.renderPending = true;
+
+    var self = this;
+    window.requestAnimationFrame(function(){
+      self.renderPending = false;
+      self.render();
+    });
+  },
+
+  /**
+   * Returns the boxes of every line of every marked range.
+   *
+   * @returns {DOMRect[]} The boxes, relative to the viewport.
+   */
+  rangeBoxes: function(){
+    var rects = [];
+
+    this.ranges.forEach(function(ranges){
+      ranges.forEach(function(range){
+        Array.prototype.push.apply(rects, range.getClientRects());
+      });
+    });
+
+    return rects;
+  },
+
+  /**
+   * Draws the boxes in the overlay.
+   */
+  render: function(){
+    var overlay = this.overlay;
+    var fragment = document.createDocumentFragment();
+    var name = this.name;
+
+    overlay.textContent = '';
+    if(!this.visible)
+      return;
+
+    this.boxes().forEach(function(rect){
+      var box = document.createElement('span');
+      box.className = name;
+      box.style.left = (rect.left + window.scrollX) + 'px';
+      box.style.top = (rect.top + window.scrollY) + 'px';
+      box.style.width = (rect.right - rect.left) + 'px';
+      box.style.height = (rect.bottom - rect.top) + 'px';
+      fragment.appendChild(box);
+    });
+
+    overlay.appendChild(fragment);
+  }
+};
@@ -0,0 +1,37 @@
+//the engine runs in a worker of this offscreen document, which lives on when the service worker is stopped after a while without events:
+//the dictionaries are loaded once per browser session instead of once per start of the service worker
+var worker = new Worker('worker.js');
+//request id -> sendResponse of the message waiting for the answer of the worker
+var waiting = new Map();
+var nextId = 0;
+
+function post(message, sendResponse){
+  var id = nextId ++;
+
+  if(sendResponse)
+    waiting.set(id, sendResponse);
+  worker.postMessage({id: id, message: message});
+}
+
+worker.addEventListener('message', function(event){
+  var sendResponse = waiting.get(event.data.id);
+
+  waiting.delete(event.data.id);
+  if(sendResponse)
+    sendResponse(event.data.response);
+});
+
+//offscreen documents only get the runtime API: the settings come from the service worker
+chrome.runtime.sendMessage({command: 'engine-settings'}, function(settings){
+  post({command: 'configure', settings: settings});
+});
+
+//the content scripts' messages reach this document too, only the ones the service worker forwards are for the engine
+chrome.runtime.onMessage.addListener(function(message, sender, sendResponse){
+  if(message.target !== 'offscreen')
+    return false;
+
+  post(message, sendResponse);
+  //the response is sent asynchronously
+  return true;
+});
@@ -0,0 +1,260 @@
+/**
+ * The user's own word list and ignore list, kept in `chrome.storage.sync` so they follow the user across browsers. The lists are stored
+ * in shards, as one item of the sync storage cannot hold more than 8 KB.
+ *
+ * Both lists hold entries in the .dic syntax: a word, optionally followed by a slash and affix flags of an installed dictionary (e.g.
+ * `Trevisan` or `sitaŧion/Z0`). A flagged word also accepts the forms those flags generate, in the dictionaries that define the flags.
+ *
+ * @param {Object} [lists] The stored lists: `words` and `ignored`, arrays of entries.
+ */
+var PersonalDictionary = function(lists){
+  this.words = [];
+  this.ignored = [];
+
+  this.load(lists || {});
+};
+
+//the settings used where the user has not added anything yet
+PersonalDictionary.defaultSettings = {
+  words: [],
+  ignored: []
+};
+
+//the key of the stored index of the shards, which are stored under `personalDictionary:words:0`, `personalDictionary:ignored:0`...
+PersonalDictionary.storageKey = 'personalDictionary';
+
+//the most bytes a shard takes, key included, below the 8192 bytes of chrome.storage.sync.QUOTA_BYTES_PER_ITEM
+PersonalDictionary.shardSize = 8000;
+
+/**
+ * Reads the stored lists.
+ *
+ * @param {StorageArea} area The storage area, e.g. `chrome.storage.sync`.
+ * @param {Function} callback Called with the lists, `words` and `ignored`.
+ */
+PersonalDictionary.restore = function(area, callback){
+  area.get(null, function(items){
+    var key = PersonalDictionary.storageKey;
+    var index = items[key] || PersonalDictionary.defaultSettings;
+    var lists = {};
+
+    ['words', 'ignored'].forEach(function(list){
+      var entries = [];
+
+      //the lists were stored in a single item before they were sharded
+      if(Array.isArray(index[list]))
+        entries = index[list];
+      else
+        for(var i = 0; i < (index[list] || 0); i ++)
+          entries = entries.concat(items[key + ':' + list + ':' + i] || []);
+
+      lists[list] = entries;
+    });
+
+    callback(lists);
+  });
+};
+
+/**
+ * Stores the lists, in as many shards as they need, and removes the shards they no longer need.
+ *
+ * @param {StorageArea} area The storage area, e.g. `chrome.storage.sync`.
+ * @param {Object} lists The lists, `words` and `ignored`.
+ * @param {Function} [callback] Called with the error message when the lists could not be stored, e.g. over the quota of the storage, or
+ *   null.
+ */
+PersonalDictionary.store = function(area, lists, callback){
+  var key = PersonalDictionary.storageKey;
+  var encoder = new TextEncoder();
+  var items = {};
+  var index = {};
+
+  ['words', 'ignored'].forEach(function(list){
+    var shards = [];
+    var shard = [];
+    var size = 0;
+    var prefix = key + ':' + list + ':';
+
+    (lists[list] || []).forEach(function(entry){
+      //the quota counts the key and the JSON of the value, quotes and comma included
+      var entrySize = encoder.encode(JSON.stringify(entry)).length + 1;
+
+      if(shard.length && (prefix + shards.length).length + 2 + size + entrySize > PersonalDictionary.shardSize){
+        shards.push(shard);
+        shard = [];
+        size = 0;
+      }
+      shard.push(entry);
+      size += entrySize;
+    });
+    if(shard.length)
+      shards.push(shard);
+
+    shards.forEach(function(entries, i){
+      items[prefix + i] = entries;
+    });
+    index[list] = shards.length;
+  });
+  items[key] = index;
+
+  area.get(null, function(stored){
+    var stale = Object.keys(stored).filter(function(storedKey){
+      return storedKey.indexOf(key + ':') === 0 && !items.hasOwnProperty(storedKey);
+    });
+
+    area.set(items, function(){
+      if(chrome.runtime.lastError){
+        if(callback)
+          callback(chrome.runtime.lastError.message);
+        return;
+      }
+
+      area.remove(stale, function(){
+        //the shards left behind are not read anyway
+        void chrome.runtime.lastError;
+        if(callback)
+          callback(null);
+      });
+    });
+  });
+};
+
+/**
+ * Tells whether a change of the storage changed the lists.
+ *
+ * @param {Object} changes The changes, as chrome.storage.onChanged reports them.
+ * @returns {Boolean}
+ */
+PersonalDictionary.isChanged = function(changes){
+  var key = PersonalDictionary.storageKey;
+
+  return Object.keys(changes).some(function(changedKey){
+    return changedKey === key || changedKey.indexOf(key + ':') === 0;
+  });
+};
+
+/**
+ * Splits an entry into its word and its flags.
+ *
+ * @param {String} entry The entry, e.g. `sitaŧion/Z0`.
+ * @returns {Object} The `word` and the `flags`, the latter empty when the entry has none.
+ */
+PersonalDictionary.parseEntry = function(entry){
+  var parts = entry.trim().split('/', 2);
+
+  return {word: parts[0], flags: parts[1] || ''};
+};
+
+/**
+ * Reads the entries of a .dic-style file: an optional word count on the first line, then one entry per line.
+ *
+ * @param {String} data The content of the file.
+ * @returns {String[]} The entries.
+ */
+PersonalDictionary.parse = function(data){
+  var lines = data.split(/\r?\n/).filter(function(line){
+    //lines starting with a tab or a hash are comments
+    return line[0] !== '\t' && line[0] !== '#';
+  }).map(function(line){
+    return line.trim();
+  }).filter(Boolean);
+
+  if(lines.length && /^\d+$/.test(lines[0]))
+    lines.shift();
+
+  return lines;
+};
+
+/**
+ * Writes entries as a .dic-style file.
+ *
+ * @param {String[]} entries The entries.
+ * @returns {String} The content of the file.
+ */
+PersonalDictionary.serialize = function(entries){
+  return entries.length + '\n' + entries.join('\n') + '\n';
+};
+
+PersonalDictionary.prototype = {
+  load: function(lists){
+    this.words = (lists.words || []).slice();
+    this.ignored = (lists.ignored || []).slice();
+
+    this.acceptedWords = new Set(this.words.map(function(entry){
+      return PersonalDictionary.parseEntry(entry).word;
+    }));
+    this.ignoredWords = new Set(this.ignored.map(function(entry){
+      return PersonalDictionary.parseEntry(entry).word;
+    }));
+  },
+
+  toJSON: function(){
+    return {words: this.words, ignored: this.ignored};
+  },
+
+  /**
+   * Tells whether a word is in the word list or in the ignore list. As in Typo.check, a word in capitals is accepted when its lower-cased
+   * or initial-capital form is listed, and a capitalized word when its uncapitalized form is: `Ciao` and `CIAO` when `ciao` is listed.
+   *
+   * @param {String} word The word, as found in the text.
+   * @returns {Boolean}
+   */
+  accepts: function(word){
+    var uncapitalized;
+
+    if(this.listed(word))
+      return true;
+
+    if(!word)
+      return false;
+
+    if(word.toUpperCase() === word && (this.listed(word[0] + word.substring(1).toLowerCase()) || this.listed(word.toLowerCase())))
+      return true;
+
+    uncapitalized = word[0].toLowerCase() + word.substring(1);
+    return uncapitalized !== word && this.listed(uncapitalized);
+  },
+
+  listed: function(word){
+    return this.acceptedWords.has(word) || this.ignoredWords.has(word);
+  },
+
+  add: function(entry){
+    if(this.words.indexOf(entry) === -1)
+      this.load({words: this.words.concat(entry), ignored: this.ignored});
+  },
+
+  ignore: function(entry){
+    if(this.ignored.indexOf(entry) === -1)
+      this.load({words: this.words, ignored: this.ignored.concat(entry)});
+  },
+
+  /**
+   * Returns the entries of the word list that have flags, the only ones added to the dictionaries.
+   *
+   * @returns {String[]} The entries.
+   */
+  flaggedEntries: function(){
+    return this.words.filter(function(entry){
+      return !!PersonalDictionary.parseEntry(entry).flags;
+    });
+  },
+
+  /**
+   * Adds the flagged words to a dictionary, so their inflected forms are accepted too.
+   * Words whose flags the dictionary does not define are left out.
+   *
+   * @param {Typo} dict The dictionary.
+   */
+  applyTo: function(dict){
+    this.words.forEach(function(entry){
+      var parsed = PersonalDictionary.parseEntry(entry);
+
+      if(parsed.flags && dict.hasRules(parsed.flags))
+        dict.addWord(parsed.word, parsed.flags);
+    });
+  }
+};
+
+if(typeof module !== 'undefined' && module.exports)
+  module.exports = PersonalDictionary;
@@ -0,0 +1,87 @@
+/**
+ * The rules of a site: whether its pages are checked when they load, only when asked or never, and which parts of them are checked.
+ *
+ * @param {Object} [rule] The stored rule: its `mode`, `manual`, `auto` or `never`, and the `include` and `exclude` CSS selectors. When
+ *   `include` is set only the text inside the elements it matches is checked; the text inside the elements `exclude` matches never is.
+ */
+var SiteRules = function(rule){
+  rule = rule || {};
+
+  this.mode = (SiteRules.modes.indexOf(rule.mode) === -1? 'manual': rule.mode);
+  this.include = SiteRules.validSelector(rule.include);
+  this.exclude = SiteRules.validSelector(rule.exclude);
+};
+
+SiteRules.modes = ['manual', 'auto', 'never'];
+
+//the text nodes of a textarea only hold its initial value, the field checker takes care of what is typed in it
+SiteRules.ignoredElements = 'style, script, textarea, code, canvas';
+
+//host -> rule, no site has rules until the user sets some
+SiteRules.defaultSettings = {};
+
+/**
+ * Returns the rule of a site.
+ *
+ * @param {Object} settings The stored rules, by host.
+ * @param {String} host The host name of the page.
+ * @returns {Object} The rule, or null when the site has none.
+ */
+SiteRules.ruleFor = function(settings, host){
+  var domains = Dictionaries.domainCandidates(host);
+
+  for(var i = 0; i < domains.length; i ++)
+    if(settings && settings.hasOwnProperty(domains[i]))
+      return settings[domains[i]];
+
+  return null;
+};
+
+/**
+ * Tells whether a CSS selector is valid.
+ *
+ * @param {String} selector The selector.
+ * @returns {Boolean} Whether it is.
+ */
+SiteRules.isValidSelector = function(selector){
+  try{
+    document.createDocumentFragment().querySelector(selector);
+    return true;
+  }
+  catch(e){
+    return false;
+  }
+};
+
+//a stored selector, or an empty string when it is not set or no longer valid
+SiteRules.validSelector = function(selector){
+  if(!selector || typeof document === 'undefined')
+    return selector || '';
+
+  if(SiteRules.isValidSelector(selector))
+    return selector;
+
+  console.warn('Spell Check: ignoring the selector ' + selector + ' of the site rules');
+  return '';
+};
+
+SiteRules.prototype = {
+  /**
+   * Tells whether the text of an element, or the value of a field, is checked.
+   *
+   * @param {Element} elm The element.
+   * @returns {Boolean} Whether the element is checked.
+   */
+  checks: function(elm){
+    if(this.mode === 'never')
+      return false;
+
+    if(this.exclude && elm.closest(this.exclude))
+      return false;
+
+    return !this.include || !!elm.closest(this.include);
+  }
+};
+
+if(typeof module !== 'undefined' && module.exports)
+  module.exports = SiteRules;
@@ -1,14 +1,27 @@
-var utilityDict = new Typo();
-var dictionaryFolder = 'typo/dictionaries/';
-var dictionaryLanguage = 'vec_IT';
-var dictionaryLanguageAffixFile = dictionaryLanguage + '.aff';
-var dictionaryLanguageDictionaryFile = dictionaryLanguage + '.dic';
-var affixData = utilityDict.readFile(chrome.extension.getURL(dictionaryFolder + dictionaryLanguage + '/' + dictionaryLanguageAffixFile));
-var dictionaryData = utilityDict.readFile(chrome.extension.getURL(dictionaryFolder + dictionaryLanguage + '/' + dictionaryLanguageDictionaryFile));
-
-var dict = new Typo(dictionaryLanguage, affixData, dictionaryData);
-var ignore = 'style script textarea code canvas'.replace(/\w+/g, '$&, $& *,').slice(0, -1);
-var pElm;
+var ignoredWords = new Set();
+var contextMark = null;
+//the language and word the context menu was last built for, null when it was built for no word
+var contextMenuKey = null;
+var editTimers = new Map();
+var started = false;
+//language -> promise of a Tokenizer
+var tokenizers = {};
+//promise of the TokenFilters of the options
+var tokenFilters = null;
+//promise of the SiteRules of the page
+var siteRules = null;
+//language -> Map of word -> whether it is correct, as told by the background page
+var verdicts = {};
+//language -> words waiting to be sent to the background page, with the promise of their verdicts
+var batches = {};
+var countTimer = null;
+//the mark last stepped to, where the next and previous commands go on from
+var cursor = null;
+var flashTimer = null;
+var highlighter;
+var flasher;
+var fieldChecker;
+var watcher;
 
 function textNodesUnder(elm){
   var n;
@@ -20,51 +33,421 @@ function textNodesUnder(elm){
   return a;
 }
 
-function clean(word){
-  return word.replace('’', '\'')
-          .replace(/^'*(.*?)'*$/,'$1')
-          .replace('_', '');
+//the tokenizer of a language, built from the WORDCHARS and BREAK directives of the dictionaries the background page routes it to
+function tokenizerFor(language){
+  if(!tokenizers.hasOwnProperty(language))
+    tokenizers[language] = new Promise(function(resolve){
+      chrome.runtime.sendMessage({command: 'tokenizer-rules', language: language}, function(rules){
+        resolve(new Tokenizer(rules || []));
+      });
+    });
+
+  return tokenizers[language];
 }
 
-function replaceMarkers(elm){
-  if(elm)
-    elm.innerHTML = elm.innerHTML.replace(/##@(.*?)@##/g, '<span class="misspelled">$1</span>');
+//the filters of the tokens not to check, as set in the options
+function loadTokenFilters(){
+  if(!tokenFilters)
+    tokenFilters = new Promise(function(resolve){
+      chrome.storage.sync.get({tokenFilters: TokenFilters.defaultSettings}, function(items){
+        resolve(new TokenFilters(items.tokenFilters));
+      });
+    });
+
+  return tokenFilters;
 }
 
-function toggleSpellCheck(){
-  document.body.classList.toggle('ext-spell-check');
+//the rules the user set for this site, as the background page finds them for the address of the page
+function loadSiteRules(){
+  if(!siteRules)
+    siteRules = new Promise(function(resolve){
+      chrome.runtime.sendMessage({command: 'site-rules'}, function(rule){
+        resolve(new SiteRules(rule));
+      });
+    });
+
+  return siteRules;
 }
 
-chrome.runtime.onMessage.addListener(function(message, sender){
-  if(message.command === 'toggle-spell-check')
-    toggleSpellCheck();
-});
+//ask the background page about the words not seen yet, batching the requests of the same tick into one message
+function requestVerdicts(language, words){
+  var cache = verdicts[language] || (verdicts[language] = new Map());
+  var missing = words.filter(function(word){
+    return !cache.has(word);
+  });
+  var batch = batches[language];
 
-textNodesUnder(document.body).forEach(function(n){
-  var text = n.nodeValue;
-  var words = text.match(/[’'\w]+/g);
+  if(!missing.length)
+    return Promise.resolve(cache);
+
+  if(!batch){
+    batch = batches[language] = {words: new Set()};
+    batch.promise = new Promise(function(resolve){
+      setTimeout(function(){
+        var list = Array.from(batch.words);
+
+        delete batches[language];
+        chrome.runtime.sendMessage({command: 'check-words', language: language, words: list}, function(results){
+          (results || []).forEach(function(correct, i){
+            cache.set(list[i], correct);
+          });
+          resolve(cache);
+        });
+      }, 0);
+    });
+  }
+
+  missing.forEach(function(word){
+    batch.words.add(word);
+  });
+  return batch.promise;
+}
+
+//tokenize a text with the dictionaries of the element it belongs to, and keep the misspelled tokens, none where the site rules skip it
+function findMisspellings(text, elm){
+  var language = Dictionaries.languageOfElement(elm);
+
+  return Promise.all([tokenizerFor(language), loadTokenFilters(), loadSiteRules()]).then(function(loaded){
+    if(!loaded[2].checks(elm)){
+      scheduleCountReport();
+      return [];
+    }
+
+    var tokens = loaded[1].apply(text, loaded[0].tokenize(text)).filter(function(token){
+      return !ignoredWords.has(token.word) && Tokenizer.clean(token.word);
+    });
+
+    return requestVerdicts(language, tokens.map(function(token){
+      return Tokenizer.clean(token.word);
+    })).then(function(cache){
+      scheduleCountReport();
+      return tokens.filter(function(token){
+        return cache.get(Tokenizer.clean(token.word)) === false;
+      });
+    });
+  });
+}
+
+function checkNode(n){
   var elm = n.parentElement;
-  var unmarked;
+  var text = n.nodeValue;
 
-  if(!words || elm.matches(ignore))
+  if(!elm || elm.closest(SiteRules.ignoredElements))
     return;
 
-  words.forEach(function(word){
-    if(!dict.check(clean(word)) && !/^\d+$/.test(word)){
-      unmarked = new RegExp('\\b' + word + '(?!@##)\\b', 'g');
-      text = text.replace(unmarked, '##@$&@##');
+  findMisspellings(text, elm).then(function(marks){
+    //the node may have changed, or left the page, while the background page was checking it
+    if(n.isConnected && n.nodeValue === text)
+      highlighter.mark(n, marks);
+  });
+}
+
+//check again the text of a contenteditable region once the user stops typing
+function scheduleEditableCheck(host){
+  clearTimeout(editTimers.get(host));
+  editTimers.set(host, setTimeout(function(){
+    editTimers.delete(host);
+    textNodesUnder(host).forEach(checkNode);
+  }, fieldChecker.delay));
+}
+
+//tell the background page how many misspellings are shown, for the toolbar badge, once the checks of the moment are done
+function scheduleCountReport(){
+  clearTimeout(countTimer);
+  countTimer = setTimeout(function(){
+    chrome.runtime.sendMessage({
+      command: 'misspelling-count',
+      count: highlighter.visible? highlighter.count() + fieldChecker.count(): 0
+    });
+  }, 250);
+}
+
+function toggleSpellCheck(){
+  highlighter.toggle();
+  fieldChecker.toggle();
+  scheduleCountReport();
+}
+
+//replace the text of a marked range, going through the editing commands inside editable regions so undo and input events keep working
+function replaceRange(range, replacement){
+  var n = range.startContainer;
+  var selection;
+
+  if(n.parentElement && n.parentElement.isContentEditable){
+    selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+    document.execCommand('insertText', false, replacement);
+  }
+  else
+    n.replaceData(range.startOffset, range.endOffset - range.startOffset, replacement);
+
+  checkNode(n);
+}
+
+function replaceAll(word, replacement){
+  highlighter.allRanges().forEach(function(range){
+    if(range.toString() === word)
+      replaceRange(range, replacement);
+  });
+  fieldChecker.replaceAll(word, replacement);
+}
+
+function checkAll(){
+  textNodesUnder(document.body).forEach(checkNode);
+  fieldChecker.checkAll();
+}
+
+//add a word to the personal dictionary, every tab checks its page again once the background page has the new list
+function addToPersonalDictionary(word, ignore){
+  chrome.runtime.sendMessage({command: 'add-to-personal-dictionary', word: word, ignore: ignore}, function(error){
+    if(error)
+      alert('Spell Check could not save "' + word + '" to the personal dictionary: ' + error);
+  });
+}
+
+function ignoreWord(word){
+  ignoredWords.add(word);
+
+  highlighter.allRanges().forEach(function(range){
+    if(range.toString() === word)
+      checkNode(range.startContainer);
+  });
+  fieldChecker.checkAll();
+}
+
+//every mark on the page, in the page text and in the fields, in document order
+function allMarks(){
+  var marks = highlighter.allRanges().map(function(range){
+    return {word: range.toString(), range: range, element: range.startContainer.parentElement};
+  });
+
+  fieldChecker.fields.forEach(function(state, field){
+    var range = document.createRange();
+
+    if(!field.isConnected)
+      return;
+
+    range.selectNode(field);
+    state.marks.forEach(function(mark){
+      marks.push({word: mark.word, range: range, element: field, field: mark});
+    });
+  });
+
+  return marks.sort(compareMarks);
+}
+
+function compareMarks(a, b){
+  return a.range.compareBoundaryPoints(Range.START_TO_START, b.range)
+    || (a.field && b.field? a.field.start - b.field.start: 0);
+}
+
+//the distinct misspelled words of the page, the most frequent first
+function report(){
+  var entries = new Map();
+
+  allMarks().forEach(function(mark){
+    var entry = entries.get(mark.word);
+
+    if(!entry){
+      entry = {word: mark.word, count: 0, language: Dictionaries.languageOfElement(mark.element)};
+      entries.set(mark.word, entry);
     }
+    entry.count ++;
   });
 
-  n.nodeValue = text;
+  return Array.from(entries.values()).sort(function(a, b){
+    return b.count - a.count || a.word.localeCompare(b.word);
+  });
+}
+
+//scroll a mark into view and flash it: fields select the word instead, as they cannot be highlighted from outside
+function flashMark(mark){
+  var range = mark.range;
+
+  mark.element.scrollIntoView({block: 'center'});
+  if(mark.field){
+    mark.element.focus();
+    mark.element.setSelectionRange(mark.field.start, mark.field.end);
+    return;
+  }
+
+  clearTimeout(flashTimer);
+  flasher.clear();
+  flasher.mark(range.startContainer, [{start: range.startOffset, end: range.endOffset}]);
+  flashTimer = setTimeout(function(){
+    flasher.clear();
+  }, 1500);
+}
+
+/**
+ * Steps to the next or the previous mark after the one last stepped to, going around at the end of the page.
+ *
+ * @param {Number} direction 1 to step forward, -1 to step backward.
+ * @param {String} [word] Only step through the marks of this word.
+ */
+function stepTo(direction, word){
+  var marks = allMarks().filter(function(mark){
+    return !word || mark.word === word;
+  });
+  var next;
+
+  if(!marks.length)
+    return;
+
+  //the page may have dropped the mark last stepped to
+  if(cursor && !cursor.element.isConnected)
+    cursor = null;
+  if(direction < 0)
+    marks.reverse();
+  next = (cursor && marks.find(function(mark){
+    return compareMarks(mark, cursor) * direction > 0;
+  })) || marks[0];
+
+  cursor = next;
+  flashMark(next);
+}
+
+//find the misspelled word under a point, either in the page text or in a checked field
+function markAt(target, x, y){
+  var caret, range, mark;
+
+  if(fieldChecker.fields.has(target)){
+    mark = fieldChecker.markAt(target, x, y);
+    return mark && {
+      word: mark.word,
+      element: target,
+      replace: function(replacement){
+        fieldChecker.replace(target, mark, replacement);
+      }
+    };
+  }
+
+  caret = document.caretRangeFromPoint(x, y);
+  range = caret && highlighter.rangeAt(caret.startContainer, caret.startOffset);
+  return range && {
+    word: range.toString(),
+    element: range.startContainer.parentElement,
+    replace: function(replacement){
+      replaceRange(range, replacement);
+    }
+  };
+}
+
+//have the background page build the context menu for the misspelled word under the pointer, if any, as the secondary button goes down:
+//the browser shows the menu as it is when the contextmenu event fires, it would still hold the suggestions of the previous word if it was
+//built then. The suggestions are only asked for then, and only when the word changed, as the engine is busy with them for a while
+function prepareContextMenu(target, x, y){
+  var word, language, key;
+
+  contextMark = markAt(target, x, y);
+  word = contextMark? Tokenizer.clean(contextMark.word): null;
+  language = contextMark? Dictionaries.languageOfElement(contextMark.element): '';
+  key = (word === null? null: language + ':' + word);
+
+  if(key === contextMenuKey)
+    return;
+
+  contextMenuKey = key;
+  chrome.runtime.sendMessage({command: 'show-suggestions', word: word, language: language});
+}
+
+//whether a command of the context menu is about the mark it was opened on
+function isContextWord(word){
+  return !!contextMark && Tokenizer.clean(contextMark.word) === word;
+}
+
+//the secondary button opens the menu, on its press on some systems and on its release on others
+document.addEventListener('pointerdown', function(event){
+  if(started && event.button === 2)
+    prepareContextMenu(event.target, event.clientX, event.clientY);
+}, true);
+
+//a menu opened from the keyboard has no pointer event before it: it is built too late for that opening, but its commands check the word
+document.addEventListener('contextmenu', function(event){
+  if(started)
+    prepareContextMenu(event.target, event.clientX, event.clientY);
+}, true);
 
-  if(!pElm)
-    pElm = elm;
-  else if(!pElm.contains(elm)){
-    replaceMarkers(pElm);
-    pElm = elm;
+//the background page clears the menu when another tab is shown
+document.addEventListener('visibilitychange', function(){
+  contextMenuKey = null;
+});
+
+chrome.runtime.onMessage.addListener(function(message, sender, sendResponse){
+  if(!started)
+    return;
+
+  if(message.command === 'ping')
+    sendResponse(true);
+  else if(message.command === 'misspelling-report')
+    sendResponse(report());
+  else if(message.command === 'suggest-word'){
+    //the background page knows which dictionaries this site uses
+    chrome.runtime.sendMessage({command: 'suggest', word: Tokenizer.clean(message.word), language: message.language}, sendResponse);
+    return true;
+  }
+  else if(message.command === 'next-misspelling')
+    stepTo(1);
+  else if(message.command === 'previous-misspelling')
+    stepTo(-1);
+  else if(message.command === 'show-misspelling')
+    stepTo(1, message.word);
+  else if(message.command === 'toggle-spell-check')
+    toggleSpellCheck();
+  else if(message.command === 'replace-word' && isContextWord(message.word)){
+    if(message.all)
+      replaceAll(contextMark.word, message.replacement);
+    else
+      contextMark.replace(message.replacement);
+    contextMark = null;
+  }
+  else if(message.command === 'ignore-word' && isContextWord(message.word)){
+    ignoreWord(contextMark.word);
+    contextMark = null;
+  }
+  else if((message.command === 'add-word' || message.command === 'ignore-all-word') && isContextWord(message.word)){
+    addToPersonalDictionary(Tokenizer.clean(contextMark.word), message.command === 'ignore-all-word');
+    contextMark = null;
+  }
+  else if(message.command === 'dictionary-changed'){
+    tokenizers = {};
+    tokenFilters = null;
+    siteRules = null;
+    verdicts = {};
+    checkAll();
   }
 });
 
-replaceMarkers(pElm);
-document.body.classList.add('ext-spell-check');
\ No newline at end of file
+function start(){
+  started = true;
+  highlighter = new Highlighter();
+  flasher = new Highlighter('flashed-misspelling');
+  fieldChecker = new FieldChecker(findMisspellings);
+
+  textNodesUnder(document.body).forEach(checkNode);
+  fieldChecker.watch(document.body);
+
+  //keep checking the content the page adds later on
+  watcher = new Watcher({
+    //what is typed in an editable region is checked once the user stops typing, not on every keystroke
+    check: function(n){
+      var elm = n.parentElement;
+
+      if(elm && elm.isContentEditable)
+        scheduleEditableCheck(elm.closest('[contenteditable]') || elm);
+      else
+        checkNode(n);
+    },
+    remove: function(n){
+      highlighter.unmark(n);
+      scheduleCountReport();
+    },
+    watchElement: function(elm){
+      fieldChecker.watch(elm);
+    }
+  });
+  watcher.observe(document.body);
+}
+
+start();
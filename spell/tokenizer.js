@@ -0,0 +1,101 @@
+/**
+ * Splits text into the words to spell check, keeping the offset of each word inside the text.
+ *
+ * A word is a run of Unicode letters, combining marks, digits, underscores and apostrophes, plus the characters the dictionaries
+ * declare with WORDCHARS. Words are then split on the patterns of the dictionaries' BREAK tables, and, as in hunspell, the characters that
+ * are not letters nor digits are only kept between them: a spaced dash, or the hyphen of a suspended prefix like `pre-`, is not a word.
+ *
+ * @param {Typo|Typo[]} dicts The dictionary, or dictionaries, whose WORDCHARS and BREAK directives drive the tokenization.
+ */
+var Tokenizer = function(dicts){
+  var wordChars = '';
+  var breakTable = [];
+
+  [].concat(dicts || []).forEach(function(dict){
+    wordChars += dict.flags.WORDCHARS || '';
+    dict.breakTable.forEach(function(pattern){
+      if(breakTable.indexOf(pattern) === -1)
+        breakTable.push(pattern);
+    });
+  });
+
+  this.wordPattern = new RegExp('[\\p{L}\\p{M}\\p{N}_’\'' + escapeCharacterClass(wordChars) + ']+', 'gu');
+  this.breakTable = breakTable;
+
+  function escapeCharacterClass(characters){
+    return characters.replace(/[\\\]\[^-]/g, '\\$&');
+  }
+};
+
+Tokenizer.prototype = {
+  /**
+   * Tokenizes a text.
+   *
+   * @param {String} text The text to tokenize, usually the value of a text node.
+   * @returns {Object[]} The tokens, each one with its `word` and its `start` and `end` offsets inside `text`.
+   */
+  tokenize: function(text){
+    var tokens = [];
+    var match;
+
+    this.wordPattern.lastIndex = 0;
+    while(match = this.wordPattern.exec(text))
+      this.breakToken(match[0], match.index, tokens);
+
+    return tokens;
+  },
+
+  /**
+   * Applies the BREAK table to a word: `^pattern` strips a leading pattern, `pattern$` strips a trailing one, any other pattern splits the
+   * word wherever it occurs.
+   *
+   * @param {String} word The word to break.
+   * @param {Number} start The offset of the word inside the text.
+   * @param {Object[]} tokens The list the resulting tokens are pushed to.
+   */
+  breakToken: function(word, start, tokens){
+    for(var i = 0; i < this.breakTable.length; i ++){
+      var pattern = this.breakTable[i];
+      var atStart = (pattern.length > 1 && pattern[0] === '^');
+      var atEnd = (pattern.length > 1 && pattern[pattern.length - 1] === '$');
+      pattern = pattern.substring(atStart? 1: 0, pattern.length - (atEnd? 1: 0));
+
+      if(atStart && word.startsWith(pattern))
+        return this.breakToken(word.substring(pattern.length), start + pattern.length, tokens);
+
+      if(atEnd && word.endsWith(pattern))
+        return this.breakToken(word.substring(0, word.length - pattern.length), start, tokens);
+
+      var position = word.indexOf(pattern);
+      if(!atStart && !atEnd && position !== -1){
+        this.breakToken(word.substring(0, position), start, tokens);
+        return this.breakToken(word.substring(position + pattern.length), start + position + pattern.length, tokens);
+      }
+    }
+
+    var leading = Tokenizer.leadingPunctuation.exec(word)[0].length;
+    var trailing = Tokenizer.trailingPunctuation.exec(word)[0].length;
+
+    if(leading < word.length)
+      tokens.push({word: word.substring(leading, word.length - trailing), start: start + leading, end: start + word.length - trailing});
+  }
+};
+
+//what a word cannot start or end with
+Tokenizer.leadingPunctuation = /^[^\p{L}\p{M}\p{N}]*/u;
+Tokenizer.trailingPunctuation = /[^\p{L}\p{M}\p{N}]*$/u;
+
+/**
+ * Returns the word to check: without the apostrophes, typographic quotes, underscores, hyphens and other characters that are not letters
+ * nor digits around it, e.g. the quotes of `‘sì’` or the plain text emphasis of `_word_`. The ones inside it are kept: the dictionaries map
+ * the apostrophes with ICONV, and identifiers like snake_case are left to the TokenFilters. The tokens of tokenize() already are.
+ *
+ * @param {String} word The word, e.g. the one a context menu was opened on.
+ * @returns {String} The word to check, empty when nothing of it is.
+ */
+Tokenizer.clean = function(word){
+  return word.replace(Tokenizer.leadingPunctuation, '').replace(Tokenizer.trailingPunctuation, '');
+};
+
+if(typeof module !== 'undefined' && module.exports)
+  module.exports = Tokenizer;
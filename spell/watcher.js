@@ -0,0 +1,156 @@
+/**
+ * Keeps the spell check up to date as the page changes.
+ *
+ * A MutationObserver collects the text nodes that are added or changed and the nodes that are removed; the added and changed ones are
+ * checked in idle callbacks, a few at a time, while the marks of the removed ones are cleared right away.
+ *
+ * @param {Object} handlers What to do with the collected nodes:
+ * 	{Function} check: called with each added or changed text node.
+ * 	{Function} remove: called with each text node that left the page.
+ * 	{Function} [watchElement]: called with each added element, e.g. to pick up the form fields inside it.
+ */
+var Watcher = function(handlers){
+  var self = this;
+
+  this.handlers = handlers;
+  this.pending = new Set();
+  this.idleHandle = null;
+
+  this.observer = new MutationObserver(function(mutations){
+    self.collect(mutations);
+  });
+};
+
+//how long an idle callback can wait before being run anyway, in milliseconds
+Watcher.idleTimeout = 1000;
+
+//calls a function with each text node under an element
+Watcher.forEachTextNode = function(root, callback, thisArg){
+  var walk = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, null, false);
+  var n;
+
+  while(n = walk.nextNode())
+    callback.call(thisArg, n);
+};
+
+//an idle callback, or a timeout standing in for it
+Watcher.requestIdle = function(callback){
+  if(typeof requestIdleCallback === 'function')
+    return requestIdleCallback(callback, {timeout: Watcher.idleTimeout});
+
+  //browsers without idle callbacks get a short, fixed slice of time
+  return setTimeout(function(){
+    var start = Date.now();
+    callback({
+      didTimeout: false,
+      timeRemaining: function(){
+        return Math.max(0, 10 - (Date.now() - start));
+      }
+    });
+  }, 1);
+};
+
+Watcher.cancelIdle = function(handle){
+  if(typeof cancelIdleCallback === 'function')
+    cancelIdleCallback(handle);
+  else
+    clearTimeout(handle);
+};
+
+Watcher.prototype = {
+  /**
+   * Starts watching an element and its descendants.
+   *
+   * @param {Node} root The element to watch.
+   */
+  observe: function(root){
+    this.observer.observe(root, {childList: true, characterData: true, subtree: true});
+  },
+
+  disconnect: function(){
+    this.observer.disconnect();
+    this.pending.clear();
+
+    if(this.idleHandle !== null){
+      Watcher.cancelIdle(this.idleHandle);
+      this.idleHandle = null;
+    }
+  },
+
+  collect: function(mutations){
+    mutations.forEach(function(mutation){
+      if(mutation.type === 'characterData')
+        this.pending.add(mutation.target);
+      else{
+        Array.prototype.forEach.call(mutation.addedNodes, this.add, this);
+        Array.prototype.forEach.call(mutation.removedNodes, this.remove, this);
+      }
+    }, this);
+
+    this.scheduleCheck();
+  },
+
+  add: function(node){
+    if(node.nodeType === Node.TEXT_NODE)
+      this.pending.add(node);
+    else if(node.nodeType === Node.ELEMENT_NODE){
+      Watcher.forEachTextNode(node, function(n){
+        this.pending.add(n);
+      }, this);
+
+      if(this.handlers.watchElement)
+        this.handlers.watchElement(node);
+    }
+  },
+
+  remove: function(node){
+    //a node can be moved rather than removed, it is then still connected and gets checked again as an added node
+    if(node.isConnected)
+      return;
+
+    if(node.nodeType === Node.TEXT_NODE){
+      this.pending.delete(node);
+      this.handlers.remove(node);
+    }
+    else if(node.nodeType === Node.ELEMENT_NODE)
+      Watcher.forEachTextNode(node, function(n){
+        this.pending.delete(n);
+        this.handlers.remove(n);
+      }, this);
+  },
+
+  scheduleCheck: function(){
+    var self = this;
+
+    if(this.idleHandle !== null || !this.pending.size)
+      return;
+
+    this.idleHandle = Watcher.requestIdle(function(deadline){
+      self.idleHandle = null;
+      self.checkPending(deadline);
+    });
+  },
+
+  /**
+   * Checks the pending nodes until the idle period is over, then waits for the next one.
+   *
+   * @param {IdleDeadline} deadline The deadline of the idle callback.
+   */
+  checkPending: function(deadline){
+    var iterator = this.pending.values();
+    var step;
+
+    while((deadline.didTimeout || deadline.timeRemaining() > 0) && !(step = iterator.next()).done){
+      this.pending.delete(step.value);
+
+      if(step.value.isConnected)
+        this.handlers.check(step.value);
+
+      //a timed out callback only gets to check one node, so the page stays responsive
+      if(deadline.didTimeout)
+        break;
+    }
+
+    this.scheduleCheck();
+  }
+};
@@ -0,0 +1,50 @@
+//the spell check engine, in a worker of the offscreen document: see offscreen.js
+importScripts('/typo/typo.js', '/spell/dictionaries.js', '/spell/personal.js', '/spell/engine.js');
+
+var dictionaryFolder = new URL('/typo/dictionaries', self.location).href;
+var engine = new SpellEngine(loadDictionary);
+var configured;
+var engineReady = new Promise(function(resolve){
+  configured = resolve;
+});
+
+//precompiled by bin/compile.js when its precompiled file is up to date with the sources
+function loadDictionary(dictionaryLanguage){
+  return Typo.create(dictionaryLanguage, {
+    dictionaryPath: dictionaryFolder,
+    precompiled: true,
+    warn: function(message){
+      console.warn('Spell Check: ' + message);
+    }
+  });
+}
+
+function answer(message){
+  if(message.command === 'configure'){
+    engine.configure(message.settings.dictionaries, message.settings.personalDictionary);
+    configured(engine);
+    return Promise.resolve(true);
+  }
+
+  //the requests that come before the settings wait for them
+  return engineReady.then(function(engine){
+    if(message.command === 'tokenizer-rules')
+      return engine.tokenizerRules(message.host, message.language);
+    if(message.command === 'check-words')
+      return engine.check(message.host, message.language, message.words);
+    if(message.command === 'suggest')
+      return engine.suggest(message.host, message.language, message.word);
+
+    throw 'Unknown command ' + message.command + '.';
+  });
+}
+
+//the content scripts get an empty answer when the dictionaries cannot be loaded
+self.addEventListener('message', function(event){
+  answer(event.data.message).then(function(response){
+    self.postMessage({id: event.data.id, response: response});
+  }, function(e){
+    console.error('Spell Check: ' + e);
+    self.postMessage({id: event.data.id, response: undefined});
+  });
+});
@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Measures how fast typo/typo.js loads a dictionary, checks words and suggests, with the stored forms and with stripAffixes: the figures of
+ * the readme come from it.
+ *
+ * The dictionary has the affixes of typo/dictionaries/vec_IT/vec_IT.aff and 6,000 made-up entries, each with two of its affix flags, plus
+ * the numerals its COMPOUNDRULE patterns join; the entries and the words checked are drawn from a seeded generator, so every run uses the
+ * same ones.
+ *
+ * Usage: node test/bench.js
+ */
+
+var fs = require('fs');
+var path = require('path');
+
+var Typo = require('../typo/typo.js');
+
+var affixData = fs.readFileSync(path.join(__dirname, '..', 'typo', 'dictionaries', 'vec_IT', 'vec_IT.aff'), 'utf8');
+
+var letters = 'abcdefgilmnoprstuvxèòà';
+var endings = ['o', 'a', 'e', 'ar', 'er', 'ir', 'i', 'àr', 'ser', 'à'];
+var seed = 1;
+
+//a linear congruential generator, the same numbers on every run
+function random(n){
+	seed = (seed * 1103515245 + 12345) % 2147483648;
+	return seed % n;
+}
+
+function randomWord(minLength, lengths){
+	var word = '';
+
+	for(var i = minLength + random(lengths); i > 0; i --)
+		word += letters[random(letters.length)];
+
+	return word;
+}
+
+/**
+ * Runs a function on every word, the given number of times, and returns the mean time per word of the fastest round.
+ *
+ * @returns {Number} The time, in milliseconds.
+ */
+function measure(words, rounds, callback){
+	var best = Infinity;
+
+	for(var i = 0; i < rounds; i ++){
+		var start = process.hrtime.bigint();
+		words.forEach(callback);
+		best = Math.min(best, Number(process.hrtime.bigint() - start) / 1e6);
+	}
+
+	return best / words.length;
+}
+
+function format(milliseconds){
+	return (milliseconds < 1? milliseconds.toPrecision(2): milliseconds.toFixed(1)) + ' ms';
+}
+
+var flags = [];
+affixData.replace(/^(?:SFX|PFX)[ \t]+(\S+)[ \t]+[YN][ \t]+\d+/gm, function(line, flag){
+	flags.push(flag);
+});
+
+var entries = [];
+for(var i = 0; i < 6000; i ++)
+	entries.push(randomWord(4, 6) + endings[random(endings.length)] + '/' + flags[random(flags.length)] + flags[random(flags.length)]);
+entries.push('un/N1', 'do/N2', 'trè/N1N2', 'vinti/N4', 'ŧento/N5', 'mile/N6', '-/--', 'sitaŧion');
+
+var dictionaryData = entries.length + '\n' + entries.join('\n') + '\n';
+
+//the words to check: forms of the entries, and words that are not in the dictionary
+var forms = Object.keys(new Typo('vec_IT', affixData, dictionaryData).dictionaryTable);
+var known = [];
+for(var i = 0; i < 500; i ++)
+	known.push(forms[(i * 7919) % forms.length]);
+
+var unknown = [];
+for(var i = 0; i < 200; i ++)
+	unknown.push(randomWord(5, 10));
+
+console.log(entries.length + ' entries, ' + forms.length + ' forms');
+
+[{name: 'expand', settings: {stripAffixes: false}}, {name: 'strip', settings: {stripAffixes: true}}].forEach(function(mode){
+	var start = Date.now();
+	var dict = new Typo('vec_IT', affixData, dictionaryData, mode.settings);
+	var loading = Date.now() - start;
+
+	//the suggestion index is built on the first suggestions otherwise, within their time budget
+	dict.buildSuggestionIndex();
+
+	console.log('');
+	console.log(mode.name);
+	console.log('  load:               ' + loading + ' ms');
+	console.log('  check a known word: ' + format(measure(known, 5, function(word){ dict.check(word); })));
+	console.log('  reject a word:      ' + format(measure(unknown, 5, function(word){ dict.check(word); })));
+	console.log('  suggest:            ' + format(measure(['sitasion', 'stiaŧion', 'sitaŧiom'], 3, function(word){
+		dict.memoized = {};
+		dict.suggest(word, 5, 60000);
+	})) + ', ' + JSON.stringify(dict.suggest('sitasion')));
+});
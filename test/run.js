@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Checks the affix handling of Typo against the fixtures of test/fixtures, laid out as the ones of hunspell's test suite: each
+ * [name].aff and [name].dic come with a [name].good file, the words the dictionary must accept, and a [name].wrong file, the words it must
+ * reject, one per line. An optional [name].sug file holds the suggestions of the words of [name].wrong, one line each, separated by commas.
+ *
+ * Usage: node test/run.js [name...]
+ * Every fixture, or only the named ones, is checked with the expanded word list and by stripping affixes, each one parsed and precompiled,
+ * which must all give the same suggestions too. Exits with status 1 when a word is not checked, or does not get the suggestions, as expected.
+ */
+
+var fs = require('fs');
+var path = require('path');
+
+var Typo = require('../typo/typo.js');
+
+var folder = path.join(__dirname, 'fixtures');
+
+//time enough for suggest() to finish its search, so the suggestions do not depend on the speed of the machine
+var suggestionTimeout = 60000;
+
+//a `precompiled` dictionary goes through serialize() and load() first, as with bin/compile.js
+var modes = [
+	{name: 'expand', settings: {stripAffixes: false}},
+	{name: 'strip', settings: {stripAffixes: true}},
+	{name: 'expand, precompiled', settings: {stripAffixes: false}, precompiled: true},
+	{name: 'strip, precompiled', settings: {stripAffixes: true}, precompiled: true}
+];
+
+/**
+ * Reads the lines of a fixture file.
+ *
+ * @param {String} file The path of the file.
+ * @returns {String[]} The lines, empty ones included, none when the file does not exist.
+ */
+function readLines(file){
+	if(!fs.existsSync(file))
+		return [];
+
+	return fs.readFileSync(file, 'utf8').replace(/\r?\n$/, '').split(/\r?\n/);
+}
+
+/**
+ * Reads the words of a .good or .wrong file.
+ *
+ * @param {String} file The path of the file.
+ * @returns {String[]} The words, none when the file does not exist.
+ */
+function readWords(file){
+	return readLines(file).filter(function(line){
+		return line !== '';
+	});
+}
+
+/**
+ * Checks the words of a fixture in one mode.
+ *
+ * @param {String} name The name of the fixture.
+ * @param {Object} mode The mode, with its `name`, its Typo `settings` and whether the dictionary is `precompiled`.
+ * @returns {String[]} The failures, described.
+ */
+function runFixture(name, mode){
+	var base = path.join(folder, name);
+	var failures = [];
+	var affixData = fs.readFileSync(base + '.aff', 'utf8');
+	var dictionaryData = fs.readFileSync(base + '.dic', 'utf8');
+	var dictionary;
+
+	try{
+		dictionary = new Typo(name, affixData, dictionaryData, mode.settings);
+
+		if(mode.precompiled)
+			dictionary = new Typo().load(JSON.parse(dictionary.serialize(affixData, dictionaryData)), affixData, dictionaryData);
+	}
+	catch(e){
+		return ['cannot load: ' + (e && e.message || e)];
+	}
+
+	readWords(base + '.good').forEach(function(word){
+		if(!dictionary.check(word))
+			failures.push(word + ' is rejected');
+	});
+
+	var suggestions = readLines(base + '.sug');
+
+	readWords(base + '.wrong').forEach(function(word, i){
+		if(dictionary.check(word))
+			failures.push(word + ' is accepted');
+
+		if(i >= suggestions.length)
+			return;
+
+		var found = dictionary.suggest(word, 5, suggestionTimeout).join(', ');
+		if(found !== suggestions[i])
+			failures.push(word + ' gets the suggestions "' + found + '" instead of "' + suggestions[i] + '"');
+	});
+
+	return failures;
+}
+
+var names = process.argv.slice(2);
+var failed = 0;
+
+if(!names.length)
+	names = fs.readdirSync(folder).filter(function(file){
+		return path.extname(file) === '.aff';
+	}).map(function(file){
+		return path.basename(file, '.aff');
+	}).sort();
+
+names.forEach(function(name){
+	modes.forEach(function(mode){
+		var failures = runFixture(name, mode);
+
+		if(!failures.length){
+			console.log('ok   ' + name + ' (' + mode.name + ')');
+			return;
+		}
+
+		failed ++;
+		console.log('FAIL ' + name + ' (' + mode.name + ')');
+		failures.forEach(function(failure){
+			console.log('     ' + failure);
+		});
+	});
+});
+
+console.log('');
+console.log((names.length * modes.length - failed) + ' passed, ' + failed + ' failed');
+
+process.exitCode = (failed? 1: 0);
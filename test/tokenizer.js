@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Checks the tokens spell/tokenizer.js makes of a few texts.
+ *
+ * Usage: node test/tokenizer.js
+ * Exits with status 1 when a text is not tokenized as expected.
+ */
+
+var assert = require('assert');
+
+var Tokenizer = require('../spell/tokenizer.js');
+
+//the WORDCHARS of vec_IT
+var tokenizer = new Tokenizer({flags: {WORDCHARS: '-’\'ʼ'}, breakTable: []});
+
+var cases = [
+	{
+		name: 'a spaced dash and a trailing hyphen are not words',
+		text: 'Ciao - mondo, ben- e',
+		tokens: [{word: 'Ciao', start: 0, end: 4}, {word: 'mondo', start: 7, end: 12}, {word: 'ben', start: 14, end: 17}, {word: 'e', start: 19, end: 20}]
+	},
+	{
+		name: 'a suspended prefix loses its hyphen, a hyphenated word keeps it',
+		text: 'pre- and post-war',
+		tokens: [{word: 'pre', start: 0, end: 3}, {word: 'and', start: 5, end: 8}, {word: 'post-war', start: 9, end: 17}]
+	},
+	{
+		name: 'quotes and apostrophes are only kept inside words',
+		text: '‘sì’ l’acqua \'ndar',
+		tokens: [{word: 'sì', start: 1, end: 3}, {word: 'l’acqua', start: 5, end: 12}, {word: 'ndar', start: 14, end: 18}]
+	},
+	{
+		name: 'a run of punctuation is no token at all',
+		text: 'a -- \'\' b',
+		tokens: [{word: 'a', start: 0, end: 1}, {word: 'b', start: 8, end: 9}]
+	}
+];
+
+//word -> what clean() makes of it
+var cleaned = {'-': '', '’sì’': 'sì', '_word_': 'word', 'l’acqua': 'l’acqua'};
+
+var passed = 0;
+var failed = 0;
+
+cases.forEach(function(test){
+	var tokens = tokenizer.tokenize(test.text);
+
+	try{
+		assert.deepStrictEqual(tokens, test.tokens);
+		passed ++;
+		console.log('ok   ' + test.name);
+	}
+	catch(e){
+		failed ++;
+		console.log('FAIL ' + test.name);
+		console.log('     ' + JSON.stringify(tokens));
+	}
+});
+
+Object.keys(cleaned).forEach(function(word){
+	var result = Tokenizer.clean(word);
+
+	if(result === cleaned[word]){
+		passed ++;
+		console.log('ok   clean(' + word + ')');
+		return;
+	}
+
+	failed ++;
+	console.log('FAIL clean(' + word + ') is ' + JSON.stringify(result) + ', not ' + JSON.stringify(cleaned[word]));
+});
+
+console.log('');
+console.log(passed + ' passed, ' + failed + ' failed');
+
+process.exitCode = (failed? 1: 0);
@@ -7,16 +7,23 @@
 /**
  * Typo constructor.
  *
+ * Loading the files through the constructor blocks until they are downloaded, and only works where a synchronous XMLHttpRequest is
+ * available: it is kept for backwards compatibility, use Typo.create() instead.
+ *
  * @param {String} [language] The locale code of the dictionary being used. e.g., "en_US". This is only used to auto-load dictionaries.
- * @param {String} [affixData] The data from the dictionary's .aff file. If omitted and Typo.js is being used in a Chrome extension, the .aff
- * 	file will be loaded automatically from lib/typo/dictionaries/[dictionary]/[dictionary].aff
- * 	In other environments, it will be loaded from [settings.dictionaryPath]/dictionaries/[dictionary]/[dictionary].aff
- * @param {String} [dictionaryData]	The data from the dictionary's .dic file. If omitted and Typo.js is being used in a Chrome extension, the .dic
- * 	file will be loaded automatically from lib/typo/dictionaries/[dictionary]/[dictionary].dic
- * 	In other environments, it will be loaded from [settings.dictionaryPath]/dictionaries/[dictionary]/[dictionary].dic
+ * @param {String} [affixData] The data from the dictionary's .aff file. If omitted, the .aff file will be loaded synchronously from
+ * 	[settings.dictionaryPath]/[dictionary]/[dictionary].aff, see Typo.defaultDictionaryPath() for the default folder.
+ * @param {String} [dictionaryData]	The data from the dictionary's .dic file. If omitted, the .dic file will be loaded synchronously from
+ * 	[settings.dictionaryPath]/[dictionary]/[dictionary].dic
  * @param {Object} [settings]	Constructor settings. Available properties are:
- * 	{String} [dictionaryPath]: path to load dictionary from in non-chrome environment.
+ * 	{String} [dictionaryPath]: the folder holding the dictionaries.
+ * 	{String} [charset]: the charset of the files loaded by the constructor, to use instead of the one declared by the SET directive.
+ * 	{Function} [warn]: called with the warnings about the encoding of the files loaded by the constructor, see Typo.decodeDictionary().
  * 	{Object} [flags]: flag information.
+ * 	{Number} [suggestionTimeout]: time budget of suggest(), in milliseconds.
+ * 	{Boolean} [stripAffixes]: keep only the dictionary entries, and check words by stripping their affixes as hunspell does, instead of
+ * 		storing every form of every entry. It takes far less memory for the same results, but checking a word takes tens of times longer
+ * 		and the suggestions that are two edits away are only looked for among the entries.
  * @returns {Typo} A Typo object.
  *
  * @see <a href="https://github.com/cfinke/Typo.js">Type</a>
@@ -28,15 +35,37 @@ var Typo = function (language, affixData, dictionaryData, settings){
 
 	this.rules = {};
 	this.dictionaryTable = {};
+	//the entries of the .dic file, word -> sets of flags, built from their lines when first needed, see entries(); only used when the forms
+	//are stored, otherwise the lookup table holds the entries
+	this.entryTable = null;
+	this.entryLines = '';
 
 	this.compoundRules = [];
-	this.compoundRuleCodes = {};
+	this.longestWord = 0;
 
 	this.replacementTable = [];
 
+	this.flagAliases = [];
+
+	this.breakTable = [];
+
+	this.keyboardTable = [];
+	this.mapTable = [];
+
+	this.inputConversionTable = [];
+	this.outputConversionTable = [];
+
 	this.flags = settings.flags || {}; 
 
 	this.memoized = {};
+	this.suggestionIndex = null;
+	this.pendingSuggestionIndex = null;
+
+	this.stripAffixes = !!settings.stripAffixes;
+	this.affixIndex = null;
+
+	if(settings.suggestionTimeout)
+		this.suggestionTimeout = settings.suggestionTimeout;
 
 	this.loaded = false;
 
@@ -44,85 +73,397 @@ var Typo = function (language, affixData, dictionaryData, settings){
 	if(language){
 		this.language = language;
 
-		if('chrome' in window && 'extension' in window.chrome && 'getURL' in window.chrome.extension){
-			if(!affixData)
-				affixData = this.readFile(chrome.extension.getURL('lib/typo/dictionaries/' + language + '/' + language + '.aff'));
-			if(!dictionaryData)
-				dictionaryData = this.readFile(chrome.extension.getURL('lib/typo/dictionaries/' + language + '/' + language + '.dic'));
-		}
-		else{
-			var path = settings.dictionaryPath || '';
-			if(!affixData)
-				affixData = this.readFile(path + '/' + language + '/' + language + '.aff');
-			if(!dictionaryData)
-				dictionaryData = this.readFile(path + '/' + language + '/' + language + '.dic');
+		if(typeof affixData !== 'string' || typeof dictionaryData !== 'string'){
+			var path = (settings.dictionaryPath || Typo.defaultDictionaryPath()) + '/' + language + '/' + language;
+			var decoded = Typo.decodeDictionary(
+				typeof affixData === 'string'? affixData: this.readBinaryFile(path + '.aff'),
+				typeof dictionaryData === 'string'? dictionaryData: this.readBinaryFile(path + '.dic'),
+				settings.charset
+			);
+
+			if(settings.warn)
+				decoded.warnings.forEach(function (message){
+					settings.warn(message);
+				});
+
+			affixData = decoded.affixData;
+			dictionaryData = decoded.dictionaryData;
 		}
 
 		this.rules = this.parseAFF(affixData);
+		this.dictionaryTable = this.parseDIC(dictionaryData);
 
-		//save the rule codes that are used in compound rules
-		this.compoundRuleCodes = {};
+		this.loaded = true;
+	}
 
-		for(var i = 0, len = this.compoundRules.length; i < len; i ++){
-			var rule = this.compoundRules[i];
+	return this;
+};
 
-			for(var j = 0, jlen = rule.length; j < jlen; j ++)
-				this.compoundRuleCodes[rule[j]] = [];
-		}
+/**
+ * The version of the precompiled format written by serialize(), bumped whenever the layout of the parsed data changes.
+ */
+Typo.FORMAT_VERSION = 4;
 
-		//if we add this ONLYINCOMPOUND flag to this.compoundRuleCodes, then parseDIC will do the work of saving the list of words that are compound-only
-		if('ONLYINCOMPOUND' in this.flags)
-			this.compoundRuleCodes[this.flags.ONLYINCOMPOUND] = [];
+/**
+ * The length, in characters, past which a word is not checked as a compound.
+ */
+Typo.MAX_COMPOUND_LENGTH = 256;
 
-		this.dictionaryTable = this.parseDIC(dictionaryData);
+/**
+ * Computes a checksum (32-bit FNV-1a over the UTF-16 code units) of the content of a dictionary file.
+ *
+ * @param {String} data The content of the file.
+ * @returns {String} The checksum, as an hexadecimal string.
+ */
+Typo.checksum = function (data){
+	var hash = 0x811c9dc5;
+
+	for(var i = 0, len = data.length; i < len; i ++){
+		hash ^= data.charCodeAt(i);
+		hash = Math.imul(hash, 0x01000193);
+	}
+
+	return (hash >>> 0).toString(16);
+};
 
-		//get rid of any codes from the compound rule codes that are never used (or that were special regex characters)
-		//NOTE: not especially necessary...
-		for(var i in this.compoundRuleCodes)
-			if(this.compoundRuleCodes[i].length == 0)
-				delete this.compoundRuleCodes[i];
+/**
+ * Turns back into RegExps the `{$regexp, flags}` objects serialize() writes in their place.
+ *
+ * @param {*} value The deserialized value.
+ * @returns {*} The value, with its RegExps restored.
+ */
+Typo.reviveRegExps = function (value){
+	if(!value || typeof value !== 'object')
+		return value;
 
-		//build the full regular expressions for each compound rule
-		//I have a feeling (but no confirmation yet) that this method of testing for compound words is probably slow
-		for(var i = 0, len = this.compoundRules.length; i < len; i ++){
-			var ruleText = this.compoundRules[i];
+	if(typeof value.$regexp === 'string')
+		return new RegExp(value.$regexp, value.flags);
 
-			var expressionText = '';
+	for(var i in value)
+		if(value.hasOwnProperty(i))
+			value[i] = Typo.reviveRegExps(value[i]);
 
-			for(var j = 0, jlen = ruleText.length; j < jlen; j ++){
-				var character = ruleText[j];
+	return value;
+};
 
-				if(character in this.compoundRuleCodes)
-					expressionText += '(' + this.compoundRuleCodes[character].join('|') + ')';
-				else
-					expressionText += character;
-			}
+/**
+ * Returns the folder dictionaries are loaded from when no `dictionaryPath` setting is given: typo/dictionaries/ inside a browser extension,
+ * the dictionaries/ folder next to this file in Node, and typo/dictionaries relative to the page elsewhere.
+ *
+ * @returns {String} The path or URL of the folder, without a trailing slash.
+ */
+Typo.defaultDictionaryPath = function (){
+	if(typeof chrome !== 'undefined' && chrome.runtime && chrome.runtime.getURL)
+		return chrome.runtime.getURL('typo/dictionaries');
+	if(typeof process !== 'undefined' && process.versions && process.versions.node)
+		return require('path').join(__dirname, 'dictionaries');
+
+	return 'typo/dictionaries';
+};
+
+/**
+ * Reads a file without blocking: through the file system in Node, through fetch() in browsers and workers.
+ *
+ * @param {String} path The path of the file, or its URL.
+ * @returns {Promise} A promise of the bytes of the file, as an Uint8Array, rejected with a message naming the file when it is missing or
+ * 	cannot be read.
+ */
+Typo.fetchBytes = function (path){
+	//URLs go through fetch() in Node too, Windows drive letters are not URL schemes
+	if(typeof process !== 'undefined' && process.versions && process.versions.node && !/^[a-z][a-z\d+.-]+:/i.test(path))
+		return require('fs').promises.readFile(path).then(function (data){
+			return new Uint8Array(data.buffer, data.byteOffset, data.length);
+		}, function (e){
+			throw (e.code === 'ENOENT'? "Dictionary file not found: " + path: "Cannot read dictionary file " + path + ": " + e.message);
+		});
+
+	return fetch(path).then(function (response){
+		if(response.status === 404)
+			throw "Dictionary file not found: " + path;
+		if(!response.ok)
+			throw "Cannot read dictionary file " + path + ": HTTP status " + response.status;
+
+		return response.arrayBuffer();
+	}, function (e){
+		throw "Cannot read dictionary file " + path + ": " + e.message;
+	}).then(function (buffer){
+		return new Uint8Array(buffer);
+	});
+};
+
+/**
+ * Reads a text file without blocking, see Typo.fetchBytes().
+ *
+ * @param {String} path The path of the file, or its URL.
+ * @param {String} [charset="UTF-8"] The charset of the file, any label TextDecoder knows.
+ * @returns {Promise} A promise of the content of the file.
+ */
+Typo.fetchFile = function (path, charset){
+	return Typo.fetchBytes(path).then(function (data){
+		return new TextDecoder(charset || 'UTF-8').decode(data);
+	});
+};
+
+/**
+ * Returns the encoding of a dictionary, as its .aff file declares it: the SET directive, else UTF-8 when the file starts with a byte order
+ * mark, else ISO8859-1 as in hunspell.
+ *
+ * @param {Uint8Array|String} affixData The .aff file, as bytes or already decoded.
+ * @returns {String} The name of the encoding, as written in the file, e.g. "UTF-8" or "ISO8859-15".
+ */
+Typo.sniffEncoding = function (affixData){
+	//the directives are ASCII, whatever the encoding
+	var text = (typeof affixData === 'string'? affixData: new TextDecoder('iso-8859-1').decode(affixData));
+	var bom = /^(?:\uFEFF|\u00EF\u00BB\u00BF)/.exec(text);
+	//the byte order mark is in front of a SET on the first line, a declaration that contradicts it is then reported by decodeDictionary()
+	var set = /^SET[ \t]+(\S+)/m.exec(bom? text.substring(bom[0].length): text);
+
+	if(set)
+		return set[1];
+
+	return (bom? 'UTF-8': 'ISO8859-1');
+};
+
+/**
+ * Maps the name of an encoding, as hunspell writes it in SET, to the canonical name of the TextDecoder encoding.
+ * UTF-8, the ISO8859-x family, KOI8-R, KOI8-U, microsoft-cp1251 and TIS620-2533 are supported.
+ *
+ * @param {String} name The name of the encoding, e.g. "ISO8859-2".
+ * @returns {String} The TextDecoder encoding, e.g. "iso-8859-2".
+ */
+Typo.encodingLabel = function (name){
+	var label = name.toLowerCase()
+		.replace(/^iso-?8859-?(\d+)$/, 'iso-8859-$1')
+		.replace(/^microsoft-cp(\d+)$/, 'windows-$1')
+		.replace(/^tis-?620-2533$/, 'tis-620');
+
+	try{
+		return new TextDecoder(label).encoding;
+	}
+	catch(e){
+		throw "Unsupported dictionary encoding: " + name + ".";
+	}
+};
+
+/**
+ * Decodes the .aff and .dic files of a dictionary with the encoding the .aff file declares, rather than with whatever charset the browser
+ * guesses, so third-party hunspell dictionaries work without being re-encoded.
+ *
+ * @param {Uint8Array|String} affixData The .aff file. A string is taken as already decoded.
+ * @param {Uint8Array|String} dictionaryData The .dic file. A string is taken as already decoded.
+ * @param {String} [charset] The encoding to use instead of the declared one.
+ * @returns {Object} The decoded `affixData` and `dictionaryData`, the name of their `encoding`, and the `warnings` about them, e.g. a file
+ * 	that looks like UTF-8 in a dictionary declared as ISO8859-1; the caller decides how to show them.
+ */
+Typo.decodeDictionary = function (affixData, dictionaryData, charset){
+	var encoding = charset || Typo.sniffEncoding(affixData);
+	var label = Typo.encodingLabel(encoding);
+	var warnings = [];
+
+	function decode(data, file){
+		if(typeof data === 'string')
+			return data.replace(/^\uFEFF/, '');
 
-			this.compoundRules[i] = new RegExp(expressionText, 'i');
+		if(data[0] === 0xEF && data[1] === 0xBB && data[2] === 0xBF && label !== 'utf-8')
+			throw "The " + file + " file starts with a UTF-8 byte order mark, but the dictionary is declared as " + encoding + ".";
+
+		try{
+			var text = new TextDecoder(label, {fatal: true}).decode(data);
+		}
+		catch(e){
+			throw "The " + file + " file is not valid " + encoding + ", the encoding the dictionary is declared as.";
 		}
 
-		this.loaded = true;
+		//any byte sequence is valid in a single-byte encoding, a file actually written in UTF-8 would decode to mojibake like "Ã¨"
+		if(label !== 'utf-8' && Typo.isMultiByteUTF8(data))
+			warnings.push("The " + file + " file looks like UTF-8, but the dictionary is declared as " + encoding + ".");
+
+		return text;
 	}
 
-	return this;
+	return {
+		affixData: decode(affixData, '.aff'),
+		dictionaryData: decode(dictionaryData, '.dic'),
+		encoding: encoding,
+		warnings: warnings
+	};
+};
+
+/**
+ * Tells whether bytes are valid UTF-8 with at least one multi-byte character, which text in a single-byte encoding hardly ever is.
+ *
+ * @param {Uint8Array} data The bytes.
+ * @returns {Boolean}
+ */
+Typo.isMultiByteUTF8 = function (data){
+	if(!data.some(function (byte){ return byte >= 0x80; }))
+		return false;
+
+	try{
+		new TextDecoder('utf-8', {fatal: true}).decode(data);
+		return true;
+	}
+	catch(e){
+		return false;
+	}
+};
+
+/**
+ * Loads a dictionary without blocking, the promise-based replacement for the auto-loading constructor.
+ *
+ * @param {String} language The locale code of the dictionary, e.g. "en_US". Its files are read from [dictionaryPath]/[language]/[language].aff
+ * 	and [dictionaryPath]/[language]/[language].dic
+ * @param {Object} [settings] The constructor settings, plus:
+ * 	{String} [dictionaryPath]: the folder holding the dictionaries, Typo.defaultDictionaryPath() if omitted.
+ * 	{String} [charset]: the charset of the .aff and .dic files, to use instead of the one declared by the SET directive.
+ * 	{Boolean} [precompiled]: load [dictionaryPath]/[language]/[language].json, written by bin/compile.js, instead of parsing the sources,
+ * 		when it is there and up to date with them.
+ * 	{Function} [warn]: called with a message when something is wrong with the dictionary but it can be loaded all the same, e.g. when its
+ * 		precompiled file is out of date and the sources are parsed instead, or when its files do not look like the encoding it declares.
+ * @returns {Promise} A promise of the loaded Typo object.
+ */
+Typo.create = function (language, settings){
+	settings = settings || {};
+
+	var base = (settings.dictionaryPath || Typo.defaultDictionaryPath()) + '/' + language + '/' + language;
+	var warn = settings.warn || function (){};
+
+	return Promise.all([
+		Typo.fetchBytes(base + '.aff'),
+		Typo.fetchBytes(base + '.dic'),
+		//a missing precompiled file is no reason to warn, the sources are parsed as when none is asked for
+		settings.precompiled? Typo.fetchFile(base + '.json').catch(function (){ return null; }): null
+	]).then(function (data){
+		var decoded = Typo.decodeDictionary(data[0], data[1], settings.charset);
+
+		decoded.warnings.forEach(function (message){
+			warn(message);
+		});
+
+		if(data[2] !== null){
+			try{
+				return new Typo().load(JSON.parse(data[2]), decoded.affixData, decoded.dictionaryData);
+			}
+			catch(e){
+				warn("Not using the precompiled dictionary " + base + ".json: " + (e.message || e));
+			}
+		}
+
+		return new Typo(language, decoded.affixData, decoded.dictionaryData, settings);
+	});
 };
 
 Typo.prototype = {
 	/**
 	 * Loads a Typo instance from a hash of all of the Typo properties.
 	 *
-	 * @param object obj A hash of Typo properties, probably gotten from a JSON.parse(JSON.stringify(typo_instance)).
+	 * The hash can also be a precompiled dictionary, i.e. the JSON.parse() of the output of serialize(): in that case its RegExps are restored
+	 * and its format version is checked; when the source files are given, their checksums are checked too, so a precompiled dictionary that is
+	 * older than its sources is rejected.
+	 *
+	 * @param object obj A hash of Typo properties, probably gotten from a JSON.parse(JSON.stringify(typo_instance)), or a precompiled dictionary.
+	 * @param {String} [affixData] The data from the .aff file the dictionary was compiled from.
+	 * @param {String} [dictionaryData] The data from the .dic file the dictionary was compiled from.
 	 */
-	load : function (obj){
-		for(var i in obj)
-			if(obj.hasOwnProperty(i))
-				this[i] = obj[i];
+	load : function (obj, affixData, dictionaryData){
+		if(!obj.hasOwnProperty('formatVersion')){
+			for(var i in obj)
+				if(obj.hasOwnProperty(i))
+					this[i] = obj[i];
+
+			return this;
+		}
+
+		if(obj.formatVersion !== Typo.FORMAT_VERSION)
+			throw "Precompiled dictionary has format version " + obj.formatVersion + ", expected " + Typo.FORMAT_VERSION + ".";
+		if(typeof affixData === 'string' && Typo.checksum(affixData) !== obj.checksums.affix)
+			throw "Precompiled dictionary is out of date with respect to its .aff file.";
+		if(typeof dictionaryData === 'string' && Typo.checksum(dictionaryData) !== obj.checksums.dictionary)
+			throw "Precompiled dictionary is out of date with respect to its .dic file.";
+
+		var properties = Typo.reviveRegExps(obj.properties);
+		for(var i in properties)
+			if(properties.hasOwnProperty(i))
+				this[i] = properties[i];
+
+		function unpack(packed){
+			var table = {};
+			var plainWords = (packed.plain? packed.plain.split('\n'): []);
+
+			for(var i = 0, len = plainWords.length; i < len; i ++)
+				table[plainWords[i]] = null;
+			for(var i in packed.flagged)
+				if(packed.flagged.hasOwnProperty(i))
+					table[i] = packed.flagged[i];
+
+			return table;
+		}
+
+		this.dictionaryTable = unpack(obj.dictionaryTable);
+		this.entryTable = null;
+
+		this.memoized = {};
+		this.suggestionIndex = null;
+		this.pendingSuggestionIndex = null;
+		this.affixIndex = null;
+		this.alphabet = '';
+		this.loaded = true;
 
 		return this;
 	},
 
 	/**
-	 * Read the contents of a file.
+	 * Serializes the loaded dictionary into the precompiled format read by load().
+	 *
+	 * The words without flags of the lookup table are packed into a single newline-separated string, and RegExps are written as
+	 * `{$regexp, flags}` objects. What is built lazily from the rest, like the entry table, the affix index or the alphabet of suggest(), is
+	 * left out.
+	 *
+	 * @param {String} affixData The data from the .aff file the dictionary was built from.
+	 * @param {String} dictionaryData The data from the .dic file the dictionary was built from.
+	 * @returns {String} The precompiled dictionary, as JSON.
+	 */
+	serialize : function (affixData, dictionaryData){
+		if(!this.loaded)
+			throw "Dictionary not loaded.";
+
+		var excluded = ['dictionaryTable', 'entryTable', 'memoized', 'suggestionIndex', 'pendingSuggestionIndex', 'affixIndex', 'alphabet', 'loaded'];
+		var properties = {};
+		for(var i in this)
+			if(this.hasOwnProperty(i) && excluded.indexOf(i) === -1)
+				properties[i] = this[i];
+
+		function pack(table){
+			var plainWords = [];
+			var flaggedWords = {};
+
+			for(var word in table)
+				if(table.hasOwnProperty(word)){
+					if(table[word] === null)
+						plainWords.push(word);
+					else
+						flaggedWords[word] = table[word];
+				}
+
+			return {plain: plainWords.join('\n'), flagged: flaggedWords};
+		}
+
+		return JSON.stringify({
+			formatVersion: Typo.FORMAT_VERSION,
+			checksums: {
+				affix: Typo.checksum(affixData),
+				dictionary: Typo.checksum(dictionaryData)
+			},
+			properties: properties,
+			dictionaryTable: pack(this.dictionaryTable)
+		}, function (key, value){
+			return (value instanceof RegExp? {$regexp: value.source, flags: value.flags}: value);
+		});
+	},
+
+	/**
+	 * Read the contents of a file, synchronously. Used by the constructor when it has to load the files itself; Typo.fetchFile() is the
+	 * non-blocking version.
 	 * 
 	 * @param {String} path	The path (relative) to the file.
 	 * @param {String} [charset="ISO8859-1"]	The expected charset of the file
@@ -142,6 +483,23 @@ Typo.prototype = {
 		return req.responseText;
 	},
 
+	/**
+	 * Read the bytes of a file, synchronously, so they can be decoded with the encoding the dictionary declares.
+	 *
+	 * @param {String} path	The path (relative) to the file.
+	 * @returns {Uint8Array}	The bytes of the file.
+	 */
+	readBinaryFile : function (path){
+		//x-user-defined maps each byte to a single character, whose low byte is the byte itself
+		var text = this.readFile(path, 'x-user-defined');
+		var data = new Uint8Array(text.length);
+
+		for(var i = 0, len = text.length; i < len; i ++)
+			data[i] = text.charCodeAt(i) & 0xFF;
+
+		return data;
+	},
+
 	/**
 	 * Parse the rules out from a .aff file.
 	 *
@@ -170,13 +528,14 @@ Typo.prototype = {
 
 				var entries = [];
 
-				for(var j = i + 1, jlen = i + 1 + numEntries; j < jlen; j ++){
+				for(var j = i + 1, jlen = i + 1 + numEntries; j < jlen && j < len; j ++){
 					var line = lines[j];
 
+					//anything after the condition is a morphological description
 					var lineParts = line.split(/\s+/);
 					var charactersToRemove = lineParts[2];
 
-					var additionParts = lineParts[3].split('/');
+					var additionParts = (lineParts[3] || '0').split('/');
 
 					var charactersToAdd = additionParts[0];
 					if(charactersToAdd === '0')
@@ -192,19 +551,12 @@ Typo.prototype = {
 					if(continuationClasses.length > 0)
 						entry.continuationClasses = continuationClasses;
 
-					if(regexToMatch !== '.'){
-						if(ruleType === 'SFX')
-							entry.match = new RegExp(regexToMatch + '$');
-						else
-							entry.match = new RegExp('^' + regexToMatch);
-					}
+					if(regexToMatch && regexToMatch !== '.')
+						entry.match = this.parseCondition(regexToMatch, ruleType);
 
-					if(charactersToRemove != '0'){
-						if(ruleType === 'SFX')
-							entry.remove = new RegExp(charactersToRemove + '$');
-						else
-							entry.remove = charactersToRemove;
-					}
+					//the stripped characters are plain text, unlike the condition
+					if(charactersToRemove && charactersToRemove !== '0')
+						entry.remove = charactersToRemove;
 
 					entries.push(entry);
 				}
@@ -224,17 +576,70 @@ Typo.prototype = {
 					var line = lines[j];
 
 					var lineParts = line.split(/\s+/);
-					this.compoundRules.push(lineParts[1]);
+					this.compoundRules.push(this.parseCompoundRule(lineParts[1]));
 				}
 
 				i += numEntries;
 			}
+			else if(ruleType === 'AF'){
+				//flag aliases, the .dic file and the continuation classes refer to them by their 1-based index
+				var numEntries = parseInt(definitionParts[1], 10);
+
+				for(var j = i + 1, jlen = i + 1 + numEntries; j < jlen && j < len; j ++)
+					this.flagAliases.push(lines[j].split(/\s+/)[1] || '');
+
+				i += numEntries;
+			}
 			else if(ruleType === 'REP'){
 				var lineParts = line.split(/\s+/);
 
 				if(lineParts.length === 3)
 					this.replacementTable.push([lineParts[1], lineParts[2]]);
 			}
+			else if(ruleType === 'BREAK'){
+				var numEntries = parseInt(definitionParts[1], 10);
+
+				for(var j = i + 1, jlen = i + 1 + numEntries; j < jlen; j ++){
+					var line = lines[j];
+
+					var lineParts = line.split(/\s+/);
+					this.breakTable.push(lineParts[1]);
+				}
+
+				i += numEntries;
+			}
+			else if(ruleType === 'KEY'){
+				//neighbor keys are listed in rows separated by a vertical bar
+				if(definitionParts[1])
+					this.keyboardTable = definitionParts[1].split('|');
+			}
+			else if(ruleType === 'MAP'){
+				var numEntries = parseInt(definitionParts[1], 10);
+
+				for(var j = i + 1, jlen = i + 1 + numEntries; j < jlen; j ++){
+					var line = lines[j];
+
+					var lineParts = line.split(/\s+/);
+					this.mapTable.push(this.parseMapEntry(lineParts[1]));
+				}
+
+				i += numEntries;
+			}
+			else if(ruleType === 'ICONV' || ruleType === 'OCONV'){
+				var lineParts = line.split(/\s+/);
+
+				//the header line only carries the number of entries; an underscore at the start or at the end of a pattern anchors it to
+				//that end of the word, anywhere else it stands for a space
+				if(lineParts.length === 3){
+					var table = (ruleType === 'ICONV'? this.inputConversionTable: this.outputConversionTable);
+					var pattern = lineParts[1];
+					var atStart = (pattern.length > 1 && pattern[0] === '_');
+					var atEnd = (pattern.length > 1 && pattern[pattern.length - 1] === '_');
+
+					pattern = pattern.substring(atStart? 1: 0, pattern.length - (atEnd? 1: 0));
+					table.push([pattern.replace(/_/g, ' '), lineParts[2].replace(/_/g, ' '), atStart, atEnd]);
+				}
+			}
 			else{
 				// ONLYINCOMPOUND
 				// COMPOUNDMIN
@@ -242,7 +647,8 @@ Typo.prototype = {
 				// KEEPCASE
 				// NEEDAFFIX
 
-				this.flags[ruleType] = definitionParts[1];
+				//a directive without a value, like COMPLEXPREFIXES, is set all the same, and kept by serialize()
+				this.flags[ruleType] = (definitionParts.length > 1? definitionParts[1]: '');
 			}
 		}
 
@@ -259,10 +665,10 @@ Typo.prototype = {
 		//remove comments
 		//this used to remove any string starting with '#' up to the end of the line, but some COMPOUNDRULE definitions include '#' as part of the rule;
 		//so, only remove lines that begin with a comment, optionally preceded by whitespace
-		data = data.replace(/^\s*#/mg, '');
+		data = data.replace(/^[ \t]*#.*$/mg, '');
 
 		//trim each line
-		data = data.replace(/^\s\s*/m, '').replace(/\s\s*$/m, '');
+		data = data.replace(/^[ \t]+|[ \t\r]+$/mg, '');
 
 		//remove blank lines
 		data = data.replace(/\n{2,}/g, '\n');
@@ -285,179 +691,641 @@ Typo.prototype = {
 		var lines = data.split(/\r?\n/);
 		var dictionaryTable = {};
 
-		function addWord(word, rules){
-			//some dictionaries will list the same word multiple times with different rule sets
-			if(!dictionaryTable.hasOwnProperty(word))
-				dictionaryTable[word] = null;
-
-			if(rules.length > 0){
-				if(!(word in dictionaryTable) || typeof dictionaryTable[word] != 'object')
-					dictionaryTable[word] = [];
+		//the first line is the number of words in the dictionary
+		for(var i = 1, len = lines.length; i < len; i ++){
+			var parts = this.parseDicLine(lines[i]);
 
-				dictionaryTable[word].push(rules);
-			}
+			if(parts.word)
+				this.addEntry(dictionaryTable, parts.word, this.parseRuleCodes(parts.flags));
 		}
 
-		//the first line is the number of words in the dictionary
-		for(var i = 1, len = lines.length; i < len; i ++){
-			var line = lines[i];
+		//the entry table is built from the lines of the entries if it is ever needed, keeping them takes far less memory than the table
+		if(!this.stripAffixes)
+			this.entryLines = lines.slice(1).join('\n');
 
-			var parts = line.split('/', 2);
+		return dictionaryTable;
+	},
 
-			var word = parts[0];
+	/**
+	 * Splits a line of a .dic file into its word and its flags, dropping the morphological description that may follow them.
+	 * A slash inside the word is escaped with a backslash.
+	 *
+	 * @param {String} line The line, e.g. `sitaŧion/Z0	po:noun`.
+	 * @returns {Object} The `word` and its `flags`, as written in the file.
+	 */
+	parseDicLine : function (line){
+		//the description is separated by a tab, or by a space when it starts with a field like "po:"
+		line = line.replace(/\t.*$/, '').replace(/ +[^\s:]{2}:.*$/, '').trim();
 
-			//now for each affix rule, generate that form of the word
-			if(parts.length > 1){
-				var ruleCodesArray = this.parseRuleCodes(parts[1]);
+		var slash = line.search(/(^|[^\\])\//);
+		if(slash !== -1 && line[slash] !== '/')
+			slash ++;
 
-				//save the ruleCodes for compound word situations
-				if(!('NEEDAFFIX' in this.flags) || ruleCodesArray.indexOf(this.flags.NEEDAFFIX) == -1)
-					addWord(word, ruleCodesArray);
+		if(slash === -1)
+			return {word: line.replace(/\\\//g, '/'), flags: ''};
 
-				for(var j = 0, jlen = ruleCodesArray.length; j < jlen; j ++){
-					var code = ruleCodesArray[j];
+		return {word: line.substring(0, slash).replace(/\\\//g, '/'), flags: line.substring(slash + 1)};
+	},
 
-					var rule = this.rules[code];
-					if(rule){
-						var newWords = this.applyRule(word, rule);
+	/**
+	 * Adds a dictionary entry to a lookup table, along with every form of the word its affix rules generate.
+	 *
+	 * @param {Object} dictionaryTable The lookup table.
+	 * @param {String} word The word.
+	 * @param {String[]} ruleCodesArray The rule codes of the word.
+	 */
+	addEntry : function (dictionaryTable, word, ruleCodesArray){
+		if(ruleCodesArray.length === 0){
+			this.addToTable(dictionaryTable, word, []);
+			return;
+		}
 
-						for(var ii = 0, iilen = newWords.length; ii < iilen; ii ++){
-							var newWord = newWords[ii];
+		if(this.stripAffixes)
+			//the forms are found by stripping the affixes of the checked words
+			this.addToTable(dictionaryTable, word, ruleCodesArray);
+		else{
+			//save the ruleCodes for compound word situations
+			if(!('NEEDAFFIX' in this.flags) || ruleCodesArray.indexOf(this.flags.NEEDAFFIX) == -1)
+				this.addToTable(dictionaryTable, word, ruleCodesArray);
 
-							addWord(newWord, []);
+			//now generate every form of the word its affix rules allow
+			var forms = this.expandEntry(word, ruleCodesArray);
 
-							if(rule.combineable){
-								for(var k = j + 1; k < jlen; k ++){
-									var combineCode = ruleCodesArray[k];
+			for(var i = 0, len = forms.length; i < len; i ++)
+				this.addToTable(dictionaryTable, forms[i].word, forms[i].flags);
+		}
+	},
 
-									var combineRule = this.rules[combineCode];
+	/**
+	 * Adds a word and a set of its flags to a lookup table or to the entry table.
+	 *
+	 * @param {Object} table The table.
+	 * @param {String} word The word.
+	 * @param {String[]} rules The flags.
+	 */
+	addToTable : function (table, word, rules){
+		var entry = table[word];
+
+		//compounds are split into segments no longer than this
+		if(word.length > this.longestWord)
+			this.longestWord = word.length;
+
+		//some dictionaries will list the same word multiple times with different rule sets
+		if(!table.hasOwnProperty(word))
+			table[word] = (rules.length > 0? [rules]: null);
+		else if(entry === null){
+			//keep the flagless form apart from the flagged one, it is still accepted on its own
+			if(rules.length > 0)
+				table[word] = [[], rules];
+		}
+		else{
+			var key = rules.join(' ');
 
-									if(combineRule && combineRule.combineable && (rule.type != combineRule.type)){
-										var otherNewWords = this.applyRule(newWord, combineRule);
+			for(var i = 0, len = entry.length; i < len; i ++)
+				if(entry[i].join(' ') === key)
+					return;
 
-										for(var iii = 0, iiilen = otherNewWords.length; iii < iiilen; iii ++){
-											var otherNewWord = otherNewWords[iii];
-											addWord(otherNewWord, []);
-										}
-									}
-								}
-							}
-						}
-					}
+			entry.push(rules);
+		}
+	},
 
-					if(code in this.compoundRuleCodes)
-						this.compoundRuleCodes[code].push(word);
-				}
+	/**
+	 * Returns the entries of the dictionary, word -> sets of flags, as the .dic file and addWord() list them. When the forms are stored, the
+	 * table is built from the lines of the entries the first time it is needed, by analyze(), stem() or generate().
+	 *
+	 * @returns {Object} The entry table.
+	 */
+	entries : function (){
+		if(this.stripAffixes)
+			return this.dictionaryTable;
+
+		if(!this.entryTable){
+			var lines = this.entryLines.split('\n');
+			var table = {};
+
+			for(var i = 0, len = lines.length; i < len; i ++){
+				var parts = this.parseDicLine(lines[i]);
+
+				if(parts.word)
+					this.addToTable(table, parts.word, this.parseRuleCodes(parts.flags));
 			}
-			else
-				addWord(word.trim(), []);
+
+			this.entryTable = table;
 		}
 
-		return dictionaryTable;
+		return this.entryTable;
 	},
 
 	/**
-	 * Removes comment lines and then cleans up blank lines and trailing whitespace.
+	 * Lists the affixed forms of a dictionary entry, the way hunspell accepts them:
 	 *
-	 * @param {String} data The data from a .dic file.
-	 * @return {String} The cleaned-up data.
+	 * - the suffix rules apply to the root, and a second suffix can come from the continuation classes of the first one;
+	 * - a prefix then applies to the root or to a suffixed form, the latter only when both rules allow cross products; the prefix can come
+	 *   from the root or from the continuation classes of the suffixes, and its own continuation classes can allow further suffixes;
+	 * - with COMPLEXPREFIXES, it is the other way around: two prefixes and one suffix;
+	 * - a form whose affixes carry NEEDAFFIX needs another affix, and a form with a CIRCUMFIX prefix needs a CIRCUMFIX suffix and vice versa;
+	 * - without FULLSTRIP, an affix may not strip the whole word.
+	 *
+	 * A form carries the flags of the root and of the continuation classes of its affixes that are not affix rules (ONLYINCOMPOUND,
+	 * KEEPCASE, compounding flags...), so they apply to it as in hunspell.
+	 *
+	 * @param {String} word The root.
+	 * @param {String[]} ruleCodesArray The flags of the root.
+	 * @returns {Object[]} The forms, each with its `word` and its `flags`.
 	 */
-	removeDicComments : function (data){
-		//I can't find any official documentation on it, but at least the de_DE dictionary uses tab-indented lines as comments
+	expandEntry : function (word, ruleCodesArray){
+		var self = this;
+		var forms = [];
+		var complexPrefixes = ('COMPLEXPREFIXES' in this.flags);
+		var rootFlags = this.nonAffixFlags(ruleCodesArray);
 
-		//remove comments
-		data = data.replace(/^\t.*$/mg, '');
+		function rulesOf(codes, type){
+			var rules = [];
 
-		//trim each line
-		data = data.replace(/^\s\s*/m, '').replace(/\s\s*$/m, '');
+			for(var i = 0, len = codes.length; i < len; i ++){
+				var rule = self.rules[codes[i]];
 
-		//remove blank lines
-		data = data.replace(/\n{2,}/g, '\n');
+				if(rule && rule.type === type && rules.indexOf(rule) === -1)
+					rules.push(rule);
+			}
 
-		//trim the entire string
-		data = data.replace(/^\s\s*/, '').replace(/\s\s*$/, '');
+			return rules;
+		}
 
-		return data;
-	},
+		function continuationOf(affixes){
+			var codes = [];
 
-	parseRuleCodes : function (textCodes){
-		if(!textCodes)
-			return [];
+			for(var i = 0, len = affixes.length; i < len; i ++)
+				codes = codes.concat(affixes[i].entry.continuationClasses || []);
 
-		if(!('FLAG' in this.flags))
-			//the flag symbols are single characters
-			return textCodes.split('');
+			return codes;
+		}
 
-		if(this.flags.FLAG === 'long'){
-			//the flag symbols are two characters long
-			var flags = [];
+		function isSuffix(affix){
+			return affix.rule.type === 'SFX';
+		}
 
-			for(var i = 0, len = textCodes.length; i < len; i += 2)
-				flags.push(textCodes.substr(i, 2));
+		function emit(form, affixes){
+			if(!self.isValidAffixation(affixes))
+				return;
 
-			return flags;
+			var flags = rootFlags;
+			for(var i = 0, len = affixes.length; i < len; i ++)
+				flags = flags.concat(self.nonAffixFlags(affixes[i].entry.continuationClasses || []));
+
+			forms.push({word: form, flags: flags.filter(function (flag, i){
+				return flags.indexOf(flag) === i;
+			})});
 		}
 
-		if(this.flags.FLAG === 'num')
-			//the flag symbols are a CSV list of numbers
-			return textCode.split(',');
+		//the forms of the outer affix type, applied to an inner form
+		function suffixes(form, affixes, codes, depth, callback){
+			var rules = rulesOf(codes, 'SFX');
 
-		if(this.flags.FLAG === 'UTF-8')
-			//the flags are single UTF-8 characters
-			//@see https://github.com/cfinke/Typo.js/issues/57
-			return Array.from(textCodes);
+			for(var i = 0, len = rules.length; i < len; i ++){
+				var applied = self.applyRule(form, rules[i]);
 
-		//it's possible that this fallback case will not work for all FLAG values, but I think it's more likely to work than not returning anything at all
-		return textCodes.split('');
-	},
+				for(var j = 0, jlen = applied.length; j < jlen; j ++){
+					var newAffixes = affixes.concat({rule: rules[i], entry: applied[j].entry});
 
-	/**
-	 * Applies an affix rule to a word.
-	 *
-	 * @param {String} word The base word.
-	 * @param {Object} rule The affix rule.
-	 * @returns {String[]} The new words generated by the rule.
-	 */
-	applyRule : function (word, rule){
-		var entries = rule.entries;
-		var newWords = [];
+					callback(applied[j].word, newAffixes);
 
-		for(var i = 0, len = entries.length; i < len; i ++){
-			var entry = entries[i];
+					if(depth > 1)
+						suffixes(applied[j].word, newAffixes, applied[j].entry.continuationClasses || [], depth - 1, callback);
+				}
+			}
+		}
 
-			if(!entry.match || word.match(entry.match)){
-				var newWord = word;
+		function prefixes(form, affixes, codes, depth, callback){
+			var rules = rulesOf(codes, 'PFX');
 
-				if(entry.remove)
-					newWord = newWord.replace(entry.remove, '');
+			for(var i = 0, len = rules.length; i < len; i ++){
+				//a prefix only combines with suffixes when all of them allow cross products
+				if(affixes.some(isSuffix) && !(rules[i].combineable && affixes.every(function (affix){
+					return affix.rule.combineable;
+				})))
+					continue;
 
-				if(rule.type === 'SFX')
-					newWord = newWord + entry.add;
-				else
-					newWord = entry.add + newWord;
+				var applied = self.applyRule(form, rules[i]);
 
-				newWords.push(newWord);
+				for(var j = 0, jlen = applied.length; j < jlen; j ++){
+					var newAffixes = affixes.concat({rule: rules[i], entry: applied[j].entry});
 
-				if('continuationClasses' in entry){
-					for(var j = 0, jlen = entry.continuationClasses.length; j < jlen; j ++){
-						var continuationRule = this.rules[entry.continuationClasses[j]];
+					callback(applied[j].word, newAffixes);
 
-						if(continuationRule)
-							newWords = newWords.concat(this.applyRule(newWord, continuationRule));
-						/*
-						else{
-							// This shouldn't happen, but it does, at least in the de_DE dictionary.
-							// I think the author mistakenly supplied lower-case rule codes instead of upper-case.
-						}
-						*/
-					}
+					if(depth > 1)
+						prefixes(applied[j].word, newAffixes, applied[j].entry.continuationClasses || [], depth - 1, callback);
 				}
 			}
 		}
 
+		var maxSuffixes = (complexPrefixes? 1: 2);
+		var maxPrefixes = (complexPrefixes? 2: 1);
+
+		//the suffixed forms, their conditions apply to the root
+		var suffixed = [];
+		suffixes(word, [], ruleCodesArray, maxSuffixes, function (form, affixes){
+			suffixed.push({word: form, affixes: affixes});
+			emit(form, affixes);
+		});
+
+		//the prefixed forms of the root, and of the suffixed forms: the conditions of the prefixes apply to the suffixed form
+		prefixes(word, [], ruleCodesArray, maxPrefixes, emit);
+		for(var i = 0, len = suffixed.length; i < len; i ++)
+			prefixes(suffixed[i].word, suffixed[i].affixes, ruleCodesArray.concat(continuationOf(suffixed[i].affixes)), maxPrefixes, emit);
+
+		//the suffixes a prefix allows through its continuation classes, although the root does not have them
+		var prefixRules = rulesOf(ruleCodesArray, 'PFX');
+		for(var i = 0, len = prefixRules.length; i < len; i ++){
+			var rule = prefixRules[i];
+
+			for(var j = 0, jlen = rule.entries.length; j < jlen; j ++){
+				var entry = rule.entries[j];
+				var extraCodes = (entry.continuationClasses || []).filter(function (code){
+					return ruleCodesArray.indexOf(code) === -1;
+				});
+
+				suffixes(word, [], extraCodes, maxSuffixes, function (form, affixes){
+					var prefixed = self.applyEntry(form, entry, 'PFX');
+
+					if(prefixed !== null && rule.combineable && affixes.every(function (affix){
+						return affix.rule.combineable;
+					}))
+						emit(prefixed, affixes.concat({rule: rule, entry: entry}));
+				});
+			}
+		}
+
+		return forms;
+	},
+
+	/**
+	 * Tells whether a combination of affixes makes a valid word: every affix with NEEDAFFIX needs another affix, and a CIRCUMFIX prefix
+	 * needs a CIRCUMFIX suffix and vice versa.
+	 *
+	 * @param {Object[]} affixes The affixes, each with its `rule` and its `entry`.
+	 * @returns {Boolean}
+	 */
+	isValidAffixation : function (affixes){
+		var circumfixes = {PFX: false, SFX: false};
+
+		for(var i = 0, len = affixes.length; i < len; i ++){
+			var classes = affixes[i].entry.continuationClasses || [];
+
+			if('NEEDAFFIX' in this.flags && classes.indexOf(this.flags.NEEDAFFIX) !== -1 && len < 2)
+				return false;
+
+			if('CIRCUMFIX' in this.flags && classes.indexOf(this.flags.CIRCUMFIX) !== -1)
+				circumfixes[affixes[i].rule.type] = true;
+		}
+
+		return (circumfixes.PFX === circumfixes.SFX);
+	},
+
+	/**
+	 * Returns the flags that are not affix rules, leaving out NEEDAFFIX and CIRCUMFIX, which only matter while generating the forms.
+	 *
+	 * @param {String[]} flags The flags.
+	 * @returns {String[]} The other flags.
+	 */
+	nonAffixFlags : function (flags){
+		var rules = this.rules;
+		var needAffix = this.flags.NEEDAFFIX;
+		var circumfix = this.flags.CIRCUMFIX;
+
+		return flags.filter(function (flag){
+			return !rules.hasOwnProperty(flag) && flag !== needAffix && flag !== circumfix;
+		});
+	},
+
+	/**
+	 * Adds a word to the loaded dictionary, e.g. from a personal word list, along with the forms its affix flags generate.
+	 * The compound rules are not rebuilt, so the word does not take part in compounds.
+	 *
+	 * @param {String} word The word.
+	 * @param {String} [flags] The affix flags, written as in a .dic file (e.g. "Z0N1" when the affix file declares FLAG long).
+	 * @returns {Typo} This object.
+	 */
+	addWord : function (word, flags){
+		if(!this.loaded)
+			throw "Dictionary not loaded.";
+
+		this.addEntry(this.dictionaryTable, word, this.parseRuleCodes(flags));
+
+		if(!this.stripAffixes){
+			//as a line of a .dic file, for the entry table to be built again with it
+			this.entryLines += '\n' + word.replace(/\//g, '\\/') + (flags? '/' + flags: '');
+			this.entryTable = null;
+		}
+
+		//the new forms can change suggestions
+		this.memoized = {};
+		this.suggestionIndex = null;
+		this.pendingSuggestionIndex = null;
+
+		return this;
+	},
+
+	/**
+	 * Tells whether the affix file defines a rule for every one of some flags.
+	 *
+	 * @param {String} flags The affix flags, written as in a .dic file.
+	 * @returns {Boolean}
+	 */
+	hasRules : function (flags){
+		var ruleCodes = this.parseRuleCodes(flags);
+
+		for(var i = 0, len = ruleCodes.length; i < len; i ++)
+			if(!this.rules.hasOwnProperty(ruleCodes[i]) && !this.isFlagDeclared(ruleCodes[i]))
+				return false;
+
+		return true;
+	},
+
+	/**
+	 * Tells whether a flag is one of the special flags declared by the affix file (KEEPCASE, NEEDAFFIX, ...).
+	 *
+	 * @param {String} flag The flag.
+	 * @returns {Boolean}
+	 */
+	isFlagDeclared : function (flag){
+		for(var name in this.flags)
+			if(this.flags.hasOwnProperty(name) && this.flags[name] === flag)
+				return true;
+
+		return false;
+	},
+
+	/**
+	 * Removes comment lines and then cleans up blank lines and trailing whitespace.
+	 *
+	 * @param {String} data The data from a .dic file.
+	 * @return {String} The cleaned-up data.
+	 */
+	removeDicComments : function (data){
+		//I can't find any official documentation on it, but at least the de_DE dictionary uses tab-indented lines as comments
+
+		//remove comments
+		data = data.replace(/^\t.*$/mg, '');
+
+		//trim each line
+		data = data.replace(/^[ \t]+|[ \t\r]+$/mg, '');
+
+		//remove blank lines
+		data = data.replace(/\n{2,}/g, '\n');
+
+		//trim the entire string
+		data = data.replace(/^\s\s*/, '').replace(/\s\s*$/, '');
+
+		return data;
+	},
+
+	/**
+	 * Splits a MAP entry into its related characters.
+	 * Multi-character sequences are enclosed in parentheses, e.g. `(ss)ß`.
+	 *
+	 * @param {String} entry The MAP entry.
+	 * @returns {String[]} The related characters and sequences.
+	 */
+	parseMapEntry : function (entry){
+		var related = [];
+
+		var characters = Array.from(entry || '');
+		for(var i = 0, len = characters.length; i < len; i ++){
+			if(characters[i] === '('){
+				var end = characters.indexOf(')', i);
+
+				if(end !== -1){
+					related.push(characters.slice(i + 1, end).join(''));
+					i = end;
+					continue;
+				}
+			}
+
+			related.push(characters[i]);
+		}
+
+		return related;
+	},
+
+	/**
+	 * Splits a COMPOUNDRULE pattern into its flags, each optionally followed by `*` (any number of times) or `?` (at most once).
+	 * Flags that are not single characters (FLAG long or num) are enclosed in parentheses, e.g. `(N2)(--)(N5)*`.
+	 *
+	 * @param {String} pattern The pattern.
+	 * @returns {Object[]} The `{flag, quantifier}` steps of the pattern, the quantifier being '', '*' or '?'.
+	 */
+	parseCompoundRule : function (pattern){
+		var steps = [];
+
+		var characters = Array.from(pattern || '');
+		for(var i = 0, len = characters.length; i < len; i ++){
+			var flag = characters[i];
+
+			if(flag === '*' || flag === '?'){
+				if(steps.length > 0)
+					steps[steps.length - 1].quantifier = flag;
+
+				continue;
+			}
+
+			if(flag === '('){
+				var end = characters.indexOf(')', i);
+
+				if(end !== -1){
+					flag = characters.slice(i + 1, end).join('');
+					i = end;
+				}
+			}
+
+			steps.push({flag: flag, quantifier: ''});
+		}
+
+		return steps;
+	},
+
+	parseRuleCodes : function (textCodes){
+		if(!textCodes)
+			return [];
+
+		if(this.flagAliases.length > 0 && /^\d+$/.test(textCodes))
+			//an alias declared by AF
+			textCodes = this.flagAliases[parseInt(textCodes, 10) - 1] || '';
+
+		if(!('FLAG' in this.flags))
+			//the flag symbols are single characters
+			return textCodes.split('');
+
+		if(this.flags.FLAG === 'long'){
+			//the flag symbols are two characters long
+			var flags = [];
+
+			for(var i = 0, len = textCodes.length; i < len; i += 2)
+				flags.push(textCodes.substr(i, 2));
+
+			return flags;
+		}
+
+		if(this.flags.FLAG === 'num')
+			//the flag symbols are a CSV list of numbers
+			return textCodes.split(',');
+
+		if(this.flags.FLAG === 'UTF-8')
+			//the flags are single UTF-8 characters
+			//@see https://github.com/cfinke/Typo.js/issues/57
+			return Array.from(textCodes);
+
+		//it's possible that this fallback case will not work for all FLAG values, but I think it's more likely to work than not returning anything at all
+		return textCodes.split('');
+	},
+
+	/**
+	 * Applies an affix rule to a word.
+	 *
+	 * @param {String} word The base word.
+	 * @param {Object} rule The affix rule.
+	 * @returns {Object[]} The new words generated by the rule, each one as its `word` and the `entry` of the rule that generated it.
+	 */
+	applyRule : function (word, rule){
+		var entries = rule.entries;
+		var newWords = [];
+
+		for(var i = 0, len = entries.length; i < len; i ++){
+			var newWord = this.applyEntry(word, entries[i], rule.type);
+
+			if(newWord !== null)
+				newWords.push({word: newWord, entry: entries[i]});
+		}
+
 		return newWords;
 	},
 
+	/**
+	 * Applies an entry of an affix rule to a word.
+	 *
+	 * @param {String} word The base word.
+	 * @param {Object} entry The entry.
+	 * @param {String} type The type of the rule, PFX or SFX.
+	 * @returns {String} The new word, or null when the entry does not apply to the word.
+	 */
+	applyEntry : function (word, entry, type){
+		var remove = entry.remove || '';
+
+		//without FULLSTRIP, something of the word has to be left once the characters are stripped
+		if(remove.length > word.length || (remove.length === word.length && !('FULLSTRIP' in this.flags)))
+			return null;
+
+		if(entry.match && !entry.match.test(word))
+			return null;
+
+		if(type === 'SFX'){
+			if(!word.endsWith(remove))
+				return null;
+
+			return word.substring(0, word.length - remove.length) + entry.add;
+		}
+
+		if(!word.startsWith(remove))
+			return null;
+
+		return entry.add + word.substring(remove.length);
+	},
+
+	/**
+	 * Turns the condition of an affix entry into a regular expression.
+	 * Conditions only know `.` and the `[...]` and `[^...]` classes: every other character is literal.
+	 *
+	 * @param {String} condition The condition, e.g. `[^aeiou]y`.
+	 * @param {String} type The type of the rule, PFX or SFX.
+	 * @returns {RegExp} The expression matching the words the entry applies to.
+	 */
+	parseCondition : function (condition, type){
+		var characters = Array.from(condition);
+		var expressionText = '';
+		var inClass = false;
+
+		for(var i = 0, len = characters.length; i < len; i ++){
+			var character = characters[i];
+
+			if(inClass){
+				if(character === ']')
+					inClass = false;
+				else if(!(character === '^' && characters[i - 1] === '['))
+					character = character.replace(/[\\\[\]^-]/, '\\$&');
+			}
+			else if(character === '[')
+				inClass = true;
+			else if(character !== '.')
+				character = character.replace(/[\\^$*+?()[\]{}|\/]/, '\\$&');
+
+			expressionText += character;
+		}
+
+		//hunspell reads an unterminated class up to the end of the condition
+		if(inClass)
+			expressionText += ']';
+
+		return new RegExp(type === 'SFX'? '(?:' + expressionText + ')$': '^(?:' + expressionText + ')', 'u');
+	},
+
+	/**
+	 * Converts a word through a ICONV/OCONV table.
+	 * At each position the longest matching pattern is replaced, then the scan continues after it, as hunspell does.
+	 *
+	 * @param {String} word The word to convert.
+	 * @param {Array[]} table The conversion table, a list of [pattern, replacement, atStart, atEnd] entries; an entry anchored at the start or
+	 * 	at the end only converts its pattern there.
+	 * @returns {String} The converted word.
+	 */
+	convert : function (word, table){
+		if(!word || table.length === 0)
+			return word;
+
+		var converted = '';
+		var i = 0;
+		while(i < word.length){
+			var match = null;
+			for(var j = 0, jlen = table.length; j < jlen; j ++){
+				var entry = table[j];
+
+				if((!match || entry[0].length > match[0].length) && word.startsWith(entry[0], i) &&
+					(!entry[2] || i === 0) && (!entry[3] || i + entry[0].length === word.length))
+					match = entry;
+			}
+
+			if(match){
+				converted += match[1];
+				i += match[0].length;
+			}
+			else{
+				converted += word[i];
+				i ++;
+			}
+		}
+
+		return converted;
+	},
+
+	/**
+	 * Converts a word as typed by the user into the form used by the dictionary (ICONV).
+	 *
+	 * @param {String} word The word to convert.
+	 * @returns {String} The converted word.
+	 */
+	convertInput : function (word){
+		return this.convert(word, this.inputConversionTable);
+	},
+
+	/**
+	 * Converts a word coming from the dictionary into the form shown to the user (OCONV).
+	 *
+	 * @param {String} word The word to convert.
+	 * @returns {String} The converted word.
+	 */
+	convertOutput : function (word){
+		return this.convert(word, this.outputConversionTable);
+	},
+
 	/**
 	 * Checks whether a word or a capitalization variant exists in the current dictionary.
 	 * The word is trimmed and several variations of capitalizations are checked.
@@ -475,7 +1343,26 @@ Typo.prototype = {
 		//remove leading and trailing whitespace
 		var trimmedWord = aWord.replace(/^\s\s*/, '').replace(/\s\s*$/, '');
 
-		if(this.checkExact(trimmedWord))
+		return this.checkCapitalization(this.convertInput(trimmedWord));
+	},
+
+	/**
+	 * Checks whether an already converted word or a capitalization variant exists in the current dictionary.
+	 *
+	 * @param {String} trimmedWord The trimmed word, already passed through the input conversion table.
+	 * @param {Object} [memo] The flags of the words already looked up, see flagSetsOf(): suggest() shares one between its candidates.
+	 * @param {Boolean} [withoutCompounds] Whether to leave out the words that are only accepted as compounds.
+	 * @returns {Boolean}
+	 */
+	checkCapitalization : function (trimmedWord, memo, withoutCompounds){
+		//nothing to check, e.g. a suggestion made by deleting the only letter of a word
+		if(!trimmedWord)
+			return false;
+
+		//the capitalization variants and their compound segments share most of their substrings
+		memo = memo || {};
+
+		if(this.lookup(trimmedWord, memo, withoutCompounds))
 			return true;
 
 		//the exact word is not in the dictionary
@@ -484,15 +1371,15 @@ Typo.prototype = {
 			//check for a capitalized form of the word
 			var capitalizedWord = trimmedWord[0] + trimmedWord.substring(1).toLowerCase();
 
-			if(this.hasFlag(capitalizedWord, 'KEEPCASE'))
+			if(this.hasFlag(capitalizedWord, 'KEEPCASE', undefined, memo))
 				//capitalization variants are not allowed for this word.
 				return false;
 
-			if(this.checkExact(capitalizedWord))
+			if(this.lookup(capitalizedWord, memo, withoutCompounds))
 				//the all-caps word is a capitalized word spelled correctly
 				return true;
 
-			if(this.checkExact(trimmedWord.toLowerCase()))
+			if(this.lookup(trimmedWord.toLowerCase(), memo, withoutCompounds))
 				//the all-caps is a lowercase word spelled correctly
 				return true;
 		}
@@ -500,12 +1387,12 @@ Typo.prototype = {
 		var uncapitalized = trimmedWord[0].toLowerCase() + trimmedWord.substring(1);
 
 		if(uncapitalized !== trimmedWord){
-			if(this.hasFlag(uncapitalized, 'KEEPCASE'))
+			if(this.hasFlag(uncapitalized, 'KEEPCASE', undefined, memo))
 				//capitalization variants are not allowed for this word
 				return false;
 
 			//check for an uncapitalized form
-			if(this.checkExact(uncapitalized))
+			if(this.lookup(uncapitalized, memo, withoutCompounds))
 				//the word is spelled correctly but with the first letter capitalized
 				return true;
 		}
@@ -523,17 +1410,23 @@ Typo.prototype = {
 		if(!this.loaded)
 			throw "Dictionary not loaded.";
 
-		var ruleCodes = this.dictionaryTable[word];
+		return this.lookup(this.convertInput(word));
+	},
 
-		if(typeof ruleCodes === 'undefined'){
-			//check if this might be a compound word
-			if('COMPOUNDMIN' in this.flags && word.length >= this.flags.COMPOUNDMIN)
-				for(var i = 0, len = this.compoundRules.length; i < len; i ++)
-					if(word.match(this.compoundRules[i]))
-						return true;
+	/**
+	 * Looks up a word, already passed through the input conversion table, in the current dictionary.
+	 *
+	 * @param {String} word The word to look up.
+	 * @param {Object} [memo] The flags of the words already looked up during the same check, see flagSetsOf().
+	 * @param {Boolean} [withoutCompounds] Whether to reject a word that is only a compound of dictionary words.
+	 * @returns {Boolean}
+	 */
+	lookup : function (word, memo, withoutCompounds){
+		var ruleCodes = this.flagSetsOf(word, memo);
 
-			return false;
-		}
+		if(typeof ruleCodes === 'undefined')
+			//check if this might be a compound word
+			return !withoutCompounds && this.compoundSegments(word, memo) !== null;
 
 		if(ruleCodes === null)
 			//a null (but not undefined) value for an entry in the dictionary table means that the word is in the dictionary but has no flags
@@ -548,20 +1441,427 @@ Typo.prototype = {
 		return false;
 	},
 
+	/**
+	 * Returns the flags a word is accepted with: one set per dictionary entry or affixed form it can be.
+	 *
+	 * @param {String} word The word.
+	 * @param {Object} [memo] Word -> its flag sets, filled as words are looked up: stripping the affixes of a word is slow, and a check looks
+	 * 	up the same substrings again and again while splitting compounds.
+	 * @returns {Array[]} The sets of flags, null when the word is an entry without flags, undefined when the word is unknown.
+	 */
+	flagSetsOf : function (word, memo){
+		if(!this.stripAffixes)
+			return this.dictionaryTable[word];
+
+		if(memo && memo.hasOwnProperty(word))
+			return memo[word];
+
+		var flagSets = this.strippedFlagSets(word);
+
+		if(flagSets.length === 0)
+			flagSets = undefined;
+
+		if(memo)
+			memo[word] = flagSets;
+
+		return flagSets;
+	},
+
+	/**
+	 * Splits a word into the dictionary words it is compounded of, following the COMPOUNDRULE patterns.
+	 *
+	 * The patterns are run as automata whose states are positions in a pattern, stepping on the flags of each segment, so a word is split
+	 * once for all the patterns. A compound has at least two segments and at most COMPOUNDWORDMAX, each at least COMPOUNDMIN characters long
+	 * (3 when it is not set, as in hunspell), and with CHECKCOMPOUNDCASE no uppercase letter may touch a boundary between segments unless the
+	 * other side is a hyphen.
+	 *
+	 * @param {String} word The word, already passed through the input conversion table.
+	 * @param {Object} [memo] The flags of the words already looked up during the same check, see flagSetsOf().
+	 * @returns {String[]} The segments, or null when the word is not a compound.
+	 */
+	compoundSegments : function (word, memo){
+		if(this.compoundRules.length === 0)
+			return null;
+
+		var self = this;
+		var rules = this.compoundRules;
+		var characters = Array.from(word);
+		var minLength = ('COMPOUNDMIN' in this.flags? Math.max(parseInt(this.flags.COMPOUNDMIN, 10) || 1, 1): 3);
+		//no segment is longer than the longest word, which keeps long tokens cheap to reject
+		var maxLength = this.longestWord || Infinity;
+		var maxSegments = ('COMPOUNDWORDMAX' in this.flags? parseInt(this.flags.COMPOUNDWORDMAX, 10) || Infinity: Infinity);
+		var checkCase = ('CHECKCOMPOUNDCASE' in this.flags);
+
+		memo = memo || {};
+
+		//start:end -> the flags of the segment, null when it is not a dictionary word
+		var segmentFlags = {};
+		//the searches known to fail, by position, states and number of segments
+		var failed = {};
+
+		//the search recurses once per segment, and hunspell does not check words that long either
+		if(characters.length < minLength * 2 || characters.length > Typo.MAX_COMPOUND_LENGTH)
+			return null;
+
+		if(this.stripAffixes){
+			//up to two affixes of each type can be stripped
+			var index = this.affixIndex || this.buildAffixIndex();
+			maxLength += 2 * (index.longest.PFX + index.longest.SFX);
+		}
+
+		function flagsOf(start, end){
+			var key = start + ':' + end;
+
+			if(!segmentFlags.hasOwnProperty(key)){
+				var flagSets = self.flagSetsOf(characters.slice(start, end).join(''), memo);
+				var flags = null;
+
+				//a word without flags cannot match a pattern
+				if(flagSets){
+					flags = {};
+
+					for(var i = 0, len = flagSets.length; i < len; i ++)
+						for(var j = 0, jlen = flagSets[i].length; j < jlen; j ++)
+							flags[flagSets[i][j]] = true;
+				}
+
+				segmentFlags[key] = flags;
+			}
+
+			return segmentFlags[key];
+		}
+
+		function isUpperCase(character){
+			return character !== character.toLowerCase();
+		}
+
+		//adds a state, along with the states reachable by skipping the steps that are optional (`*` or `?`)
+		function addState(states, rule, position){
+			for(;;){
+				var key = rule + ':' + position;
+
+				if(states.indexOf(key) !== -1)
+					return;
+
+				states.push(key);
+
+				if(position >= rules[rule].length || rules[rule][position].quantifier === '')
+					return;
+
+				position ++;
+			}
+		}
+
+		//the states after a segment with the given flags, a `*` step staying where it is
+		function advance(states, flags){
+			var next = [];
+
+			for(var i = 0, len = states.length; i < len; i ++){
+				var parts = states[i].split(':');
+				var rule = parseInt(parts[0], 10);
+				var position = parseInt(parts[1], 10);
+				var step = rules[rule][position];
+
+				if(step && flags[step.flag])
+					addState(next, rule, (step.quantifier === '*'? position: position + 1));
+			}
+
+			return next;
+		}
+
+		function isAccepting(states){
+			for(var i = 0, len = states.length; i < len; i ++){
+				var parts = states[i].split(':');
+
+				if(parseInt(parts[1], 10) === rules[parseInt(parts[0], 10)].length)
+					return true;
+			}
+
+			return false;
+		}
+
+		function search(start, states, count){
+			if(start === characters.length)
+				return (count >= 2 && isAccepting(states)? []: null);
+
+			if(count >= maxSegments)
+				return null;
+
+			if(start > 0 && checkCase){
+				var before = characters[start - 1];
+				var after = characters[start];
+
+				if((isUpperCase(before) || isUpperCase(after)) && before !== '-' && after !== '-')
+					return null;
+			}
+
+			var key = start + '|' + states.slice().sort().join(',') + '|' + (maxSegments === Infinity? Math.min(count, 2): count);
+
+			if(failed.hasOwnProperty(key))
+				return null;
+
+			for(var end = start + minLength, last = Math.min(characters.length, start + maxLength); end <= last; end ++){
+				//the rest of the word has to make a segment too
+				if(end < characters.length && characters.length - end < minLength)
+					continue;
+
+				var flags = flagsOf(start, end);
+
+				if(!flags)
+					continue;
+
+				var next = advance(states, flags);
+
+				if(next.length === 0)
+					continue;
+
+				var segments = search(end, next, count + 1);
+
+				if(segments)
+					return [characters.slice(start, end).join('')].concat(segments);
+			}
+
+			failed[key] = true;
+
+			return null;
+		}
+
+		var initialStates = [];
+		for(var i = 0, len = rules.length; i < len; i ++)
+			addState(initialStates, i, 0);
+
+		return search(0, initialStates, 0);
+	},
+
+	/**
+	 * Returns the flags of each way a word is made of a dictionary entry and affixes, the same as those expandEntry() gives to the form.
+	 *
+	 * @param {String} word The word.
+	 * @returns {Array[]} The sets of flags, empty when the word is unknown.
+	 */
+	strippedFlagSets : function (word){
+		return this.derivations(word).map(function (derivation){
+			return derivation.flags;
+		});
+	},
+
+	/**
+	 * Finds the ways a word is made of a dictionary entry and affixes, by stripping the affixes its end and its beginning can be.
+	 *
+	 * @param {String} word The word.
+	 * @returns {Object[]} The `entry` of each way and its `entryFlags`, the `prefixes` and `suffixes` stripped, innermost first, each with its
+	 * 	rule `code`, its `rule` and its `entry`, and the `flags` of the form.
+	 */
+	derivations : function (word){
+		var entryTable = this.entries();
+		var index = this.affixIndex || this.buildAffixIndex();
+		var complexPrefixes = ('COMPLEXPREFIXES' in this.flags);
+		var fullStrip = ('FULLSTRIP' in this.flags);
+		var derivations = [];
+
+		//inner form -> its strip() results, for the forms that several affixes leave the same
+		var stripped = {};
+
+		//the inner forms left by stripping up to `depth` affixes of a type, each with the stripped affixes, innermost first; `outer` is the
+		//affix stripped before, which only goes on top of an affix that has it among its continuation classes
+		function strip(form, type, depth, outer){
+			var byText = (depth === 0? null: outer? index.under[type][outer.code]: index[type]);
+			//suffixes are stripped last, so only the forms that are entries are worth keeping
+			var results = (type === 'PFX' || entryTable.hasOwnProperty(form)? [{word: form, affixes: []}]: []);
+
+			//nothing more to strip, which is most of the inner forms: not worth remembering
+			if(!byText)
+				return results;
+
+			var key = type + depth + (outer? outer.code: '') + ':' + form;
+
+			if(stripped.hasOwnProperty(key))
+				return stripped[key];
+
+			stripped[key] = results;
+
+			for(var i = 0, last = Math.min(form.length, index.longest[type]); i <= last; i ++){
+				var add = (type === 'SFX'? form.substring(form.length - i): form.substring(0, i));
+				//words can end with "constructor" too
+				var affixes = (byText.hasOwnProperty(add)? byText[add]: null);
+
+				if(!affixes)
+					continue;
+
+				var rest = (type === 'SFX'? form.substring(0, form.length - i): form.substring(i));
+
+				for(var j = 0, jlen = affixes.length; j < jlen; j ++){
+					var affix = affixes[j];
+					var remove = affix.entry.remove || '';
+					var inner = (type === 'SFX'? rest + remove: remove + rest);
+
+					//the entry has to give the form back, as applyEntry() would: something of the inner form is left once it is stripped, unless
+					//with FULLSTRIP, and the inner form meets the condition
+					if(!rest && !fullStrip || affix.entry.match && !affix.entry.match.test(inner))
+						continue;
+
+					var innerResults = strip(inner, type, depth - 1, affix);
+					for(var k = 0, klen = innerResults.length; k < klen; k ++)
+						results.push({word: innerResults[k].word, affixes: innerResults[k].affixes.concat(affix)});
+				}
+			}
+
+			return results;
+		}
+
+		var prefixed = strip(word, 'PFX', complexPrefixes? 2: 1);
+
+		for(var i = 0, len = prefixed.length; i < len; i ++){
+			var suffixed = strip(prefixed[i].word, 'SFX', complexPrefixes? 1: 2);
+
+			for(var j = 0, jlen = suffixed.length; j < jlen; j ++){
+				var root = suffixed[j].word;
+
+				if(!entryTable.hasOwnProperty(root))
+					continue;
+
+				var rootFlagSets = entryTable[root] || [[]];
+
+				for(var k = 0, klen = rootFlagSets.length; k < klen; k ++){
+					var flags = this.derivationFlags(rootFlagSets[k], suffixed[j].affixes, prefixed[i].affixes);
+
+					if(flags)
+						derivations.push({
+							entry: root,
+							entryFlags: rootFlagSets[k],
+							prefixes: prefixed[i].affixes,
+							suffixes: suffixed[j].affixes,
+							flags: flags
+						});
+				}
+			}
+		}
+
+		return derivations;
+	},
+
+	/**
+	 * Tells whether a dictionary entry takes some affixes, under the same rules as expandEntry().
+	 *
+	 * @param {String[]} ruleCodesArray The flags of the entry.
+	 * @param {Object[]} suffixes The suffixes, innermost first, each with its rule `code`, its `rule` and its `entry`.
+	 * @param {Object[]} prefixes The prefixes, innermost first.
+	 * @returns {String[]} The flags of the form, or null when the entry does not take the affixes.
+	 */
+	derivationFlags : function (ruleCodesArray, suffixes, prefixes){
+		function hasCode(codes, affix){
+			return codes.indexOf(affix.code) !== -1;
+		}
+
+		function chains(affixes){
+			for(var i = 1, len = affixes.length; i < len; i ++)
+				if(!hasCode(affixes[i - 1].entry.continuationClasses || [], affixes[i]))
+					return false;
+
+			return true;
+		}
+
+		function combineable(affix){
+			return affix.rule.combineable;
+		}
+
+		if(suffixes.length === 0 && prefixes.length === 0)
+			return (!('NEEDAFFIX' in this.flags) || ruleCodesArray.indexOf(this.flags.NEEDAFFIX) === -1? ruleCodesArray: null);
+
+		if(!chains(suffixes) || !chains(prefixes))
+			return null;
+
+		if(suffixes.length && prefixes.length && !(suffixes.every(combineable) && prefixes.every(combineable)))
+			return null;
+
+		if(suffixes.length && !hasCode(ruleCodesArray, suffixes[0])){
+			//a suffix the root does not have, allowed by the continuation classes of its only prefix
+			if(prefixes.length !== 1 || !hasCode(ruleCodesArray, prefixes[0]) || !hasCode(prefixes[0].entry.continuationClasses || [], suffixes[0]))
+				return null;
+		}
+		else if(prefixes.length){
+			//the prefix comes from the root, or from the continuation classes of the suffixes
+			var prefixCodes = ruleCodesArray;
+			for(var i = 0, len = suffixes.length; i < len; i ++)
+				prefixCodes = prefixCodes.concat(suffixes[i].entry.continuationClasses || []);
+
+			if(!hasCode(prefixCodes, prefixes[0]))
+				return null;
+		}
+
+		var affixes = suffixes.concat(prefixes);
+		if(!this.isValidAffixation(affixes))
+			return null;
+
+		var flags = this.nonAffixFlags(ruleCodesArray);
+		for(var i = 0, len = affixes.length; i < len; i ++)
+			flags = flags.concat(this.nonAffixFlags(affixes[i].entry.continuationClasses || []));
+
+		return flags;
+	},
+
+	/**
+	 * Indexes the affix entries by the text they add, for stripping them.
+	 *
+	 * @returns {Object} The index: for PFX and for SFX, the added text -> the entries adding it, with their rule `code` and `rule`, and
+	 * 	the same by the codes their continuation classes hold, in `under`.
+	 */
+	buildAffixIndex : function (){
+		//the longest text an affix of each type adds, which bounds how much longer than the entries the forms can be
+		var index = {PFX: {}, SFX: {}, longest: {PFX: 0, SFX: 0}, under: {PFX: {}, SFX: {}}};
+
+		function addTo(byText, affix){
+			if(!byText.hasOwnProperty(affix.entry.add))
+				byText[affix.entry.add] = [];
+
+			byText[affix.entry.add].push(affix);
+		}
+
+		for(var code in this.rules){
+			if(!this.rules.hasOwnProperty(code))
+				continue;
+
+			var rule = this.rules[code];
+			var entries = rule.entries;
+
+			for(var i = 0, len = entries.length; i < len; i ++){
+				var affix = {code: code, rule: rule, entry: entries[i]};
+				var under = index.under[rule.type];
+
+				addTo(index[rule.type], affix);
+				index.longest[rule.type] = Math.max(index.longest[rule.type], entries[i].add.length);
+
+				//the affix can be stripped from under those of the same type its continuation classes hold the code of
+				(entries[i].continuationClasses || []).forEach(function (continuation){
+					if(!under.hasOwnProperty(continuation))
+						under[continuation] = {};
+
+					addTo(under[continuation], affix);
+				});
+			}
+		}
+
+		this.affixIndex = index;
+
+		return index;
+	},
+
 	/**
 	 * Looks up whether a given word is flagged with a given flag.
 	 *
 	 * @param {String} word The word in question.
 	 * @param {String} flag The flag in question.
+	 * @param {String[]} [wordFlags] The flags of the word, when they are already known.
+	 * @param {Object} [memo] The flags of the words already looked up, see flagSetsOf().
 	 * @return {Boolean}
 	 */
-	hasFlag : function (word, flag, wordFlags){
+	hasFlag : function (word, flag, wordFlags, memo){
 		if(!this.loaded)
 			throw "Dictionary not loaded.";
 
 		if(flag in this.flags){
 			if(typeof wordFlags === 'undefined')
-				var wordFlags = Array.prototype.concat.apply([], this.dictionaryTable[word]);
+				var wordFlags = Array.prototype.concat.apply([], this.flagSetsOf(word, memo));
 
 			if(wordFlags && wordFlags.indexOf(this.flags[flag]) !== -1)
 				return true;
@@ -570,25 +1870,189 @@ Typo.prototype = {
 		return false;
 	},
 
+	/**
+	 * Analyzes a word: finds the dictionary entries it comes from and the affixes that make it. A capitalized or uppercase word is also
+	 * analyzed in lowercase, the way check() accepts it.
+	 *
+	 * @param {String} word The word.
+	 * @returns {Object[]} One analysis per way the word is made: its `stem`, the dictionary entry, and the flags of the `prefixes` and the
+	 * 	`suffixes` applied to it, innermost first. Empty when the word is unknown.
+	 */
+	analyze : function (word){
+		if(!this.loaded)
+			throw "Dictionary not loaded.";
+
+		var self = this;
+		var analyses = [];
+		var seen = {};
+
+		word = this.convertInput(word.trim());
+
+		function code(affix){
+			return affix.code;
+		}
+
+		[word, word.charAt(0).toLowerCase() + word.substring(1), word.toLowerCase()].forEach(function (variant, i, variants){
+			if(variants.indexOf(variant) !== i)
+				return;
+
+			self.derivations(variant).forEach(function (derivation){
+				//forms that only exist inside compounds, and entries that keep their case, do not stand for the word
+				if(self.hasFlag(variant, 'ONLYINCOMPOUND', derivation.flags) || variant !== word && self.hasFlag(variant, 'KEEPCASE', derivation.flags))
+					return;
+
+				var analysis = {
+					stem: self.convertOutput(derivation.entry),
+					prefixes: derivation.prefixes.map(code),
+					suffixes: derivation.suffixes.map(code)
+				};
+				var key = JSON.stringify(analysis);
+
+				if(!seen.hasOwnProperty(key)){
+					seen[key] = true;
+					analyses.push(analysis);
+				}
+			});
+		});
+
+		return analyses;
+	},
+
+	/**
+	 * Returns the stems of a word: the dictionary entries it is a form of.
+	 *
+	 * @param {String} word The word.
+	 * @returns {String[]} The stems, empty when the word is unknown.
+	 */
+	stem : function (word){
+		var stems = [];
+
+		this.analyze(word).forEach(function (analysis){
+			if(stems.indexOf(analysis.stem) === -1)
+				stems.push(analysis.stem);
+		});
+
+		return stems;
+	},
+
+	/**
+	 * Lists the forms of a word: the word itself, unless it needs an affix, and every form its affix flags generate.
+	 *
+	 * @param {String} stem The word, usually a dictionary entry as given by stem().
+	 * @param {String} [flags] Affix flags, written as in a .dic file, to inflect the word with instead of the flags of its dictionary entries.
+	 * @returns {String[]} The forms, empty when the word is not a dictionary entry and no flags are given.
+	 */
+	generate : function (stem, flags){
+		if(!this.loaded)
+			throw "Dictionary not loaded.";
+
+		var self = this;
+		var word = this.convertInput(stem.trim());
+		var entryTable = this.entries();
+		var forms = [];
+		var seen = {};
+		var flagSets;
+
+		if(typeof flags === 'string')
+			flagSets = [this.parseRuleCodes(flags)];
+		else if(entryTable.hasOwnProperty(word))
+			flagSets = entryTable[word] || [[]];
+		else
+			return forms;
+
+		function add(form, formFlags){
+			//forms that only exist inside compounds are not words
+			if(self.hasFlag(form, 'ONLYINCOMPOUND', formFlags))
+				return;
+
+			form = self.convertOutput(form);
+			if(!seen.hasOwnProperty(form)){
+				seen[form] = true;
+				forms.push(form);
+			}
+		}
+
+		flagSets.forEach(function (ruleCodes){
+			if(!('NEEDAFFIX' in self.flags) || ruleCodes.indexOf(self.flags.NEEDAFFIX) === -1)
+				add(word, ruleCodes);
+
+			self.expandEntry(word, ruleCodes).forEach(function (form){
+				add(form.word, form.flags);
+			});
+		});
+
+		return forms;
+	},
+
+	/**
+	 * Builds the index used to look for edit-distance-2 suggestions: the suggestible words of the dictionary grouped by length.
+	 * It is built on the first suggestions that need it, a part at a time within their time budgets; call this beforehand to take that cost
+	 * out of the first suggestions.
+	 *
+	 * @param {Number} [deadline] The time, as returned by Date.now(), at which to stop building and leave the rest for the next call.
+	 * @returns {Object} The index, keyed by word length, or null when the deadline came before it was complete.
+	 */
+	buildSuggestionIndex : function (deadline){
+		if(!this.loaded)
+			throw "Dictionary not loaded.";
+
+		if(!this.suggestionIndex){
+			if(!this.pendingSuggestionIndex)
+				this.pendingSuggestionIndex = {words: Object.keys(this.dictionaryTable), position: 0, index: {}};
+
+			var pending = this.pendingSuggestionIndex;
+			var index = pending.index;
+
+			for(var len = pending.words.length; pending.position < len; pending.position ++){
+				//checking the clock on every word is too expensive, a hundred words take a few milliseconds when the affixes are stripped
+				if(deadline && pending.position % 100 === 0 && Date.now() > deadline)
+					return null;
+
+				var word = pending.words[pending.position];
+				var memo = {};
+				if(!this.lookup(word, memo) || this.hasFlag(word, 'NOSUGGEST', undefined, memo))
+					continue;
+
+				var key = word.length;
+				if(!index.hasOwnProperty(key))
+					index[key] = [];
+
+				index[key].push(word);
+			}
+
+			this.suggestionIndex = index;
+			this.pendingSuggestionIndex = null;
+		}
+
+		return this.suggestionIndex;
+	},
+
 	/**
 	 * Returns a list of suggestions for a misspelled word.
 	 *
-	 * @see http://www.norvig.com/spell-correct.html for the basis of this suggestor.
-	 * This suggestor is primitive, but it works.
+	 * Candidates are looked for in order of likelihood, and the search stops as soon as the time budget runs out:
+	 * the replacement table (REP) first, then related characters (MAP) and adjacent keys (KEY), then single edits built from the TRY
+	 * characters, which are not split into compounds, and lastly a scan of the suggestion index for words within two edits.
 	 *
 	 * @param {String} word The misspelling.
 	 * @param {Number} [limit=5] The maximum number of suggestions to return.
+	 * @param {Number} [timeout=this.suggestionTimeout] The time budget, in milliseconds.
 	 * @returns {String[]} The array of suggestions.
 	 */
 
 	alphabet : '',
 
-	suggest : function (word, limit){
+	suggestionTimeout : 250,
+
+	suggest : function (word, limit, timeout){
 		if(!this.loaded)
 			throw "Dictionary not loaded.";
 
 		limit = limit || 5;
 
+		//work on the dictionary form of the word, suggestions are converted back on the way out
+		word = this.convertInput(word);
+
 		if(this.memoized.hasOwnProperty(word)){
 			var memoizedLimit = this.memoized[word]['limit'];
 
@@ -597,172 +2061,274 @@ Typo.prototype = {
 				return this.memoized[word]['suggestions'].slice(0, limit);
 		}
 
-		if(this.check(word))
+		//the flags of every word looked up while looking for suggestions, as the candidates share their capitalization variants and segments
+		var memo = {};
+
+		if(this.checkCapitalization(word, memo))
 			return [];
 
-		//check the replacement table
-		for(var i = 0, len = this.replacementTable.length; i < len; i ++){
-			var replacementEntry = this.replacementTable[i];
+		var self = this;
+		var deadline = Date.now() + (timeout || self.suggestionTimeout);
 
-			if(word.indexOf(replacementEntry[0]) !== -1){
-				var correctedWord = word.replace(replacementEntry[0], replacementEntry[1]);
+		//the TRY directive lists the characters to try, most frequent first
+		if(!self.alphabet)
+			self.alphabet = Array.from(self.flags.TRY || 'abcdefghijklmnopqrstuvwxyz');
 
-				if(this.check(correctedWord))
-					return [correctedWord];
-			}
-		}
+		//candidate -> score, the lower the better
+		var candidates = {};
+		var found = 0;
+		//whether the budget ran out before the search was over, in which case the suggestions are not remembered
+		var timedOut = false;
 
-		var self = this;
-		self.alphabet = 'abcdefghijklmnopqrstuvwxyz';
+		function expired(){
+			if(Date.now() > deadline)
+				timedOut = true;
 
-		/*
-		if(!self.alphabet){
-			//use the alphabet as implicitly defined by the words in the dictionary
-			var alphaHash = {};
+			return timedOut;
+		}
 
-			for(var i in self.dictionaryTable)
-				for(var j = 0, len = i.length; j < len; j ++)
-					alphaHash[i[j]] = true;
+		//an edit of the misspelling is not split into compounds: there are hundreds of them, and splitting is what takes most of a check
+		function consider(candidate, score, isEdit){
+			if(candidate === word)
+				return;
 
-			for(var i in alphaHash)
-				self.alphabet += i;
+			if(candidates.hasOwnProperty(candidate)){
+				candidates[candidate] = Math.min(candidates[candidate], score);
+				return;
+			}
 
-			var alphaArray = self.alphabet.split('');
-			alphaArray.sort();
-			self.alphabet = alphaArray.join('');
+			if(self.checkCapitalization(candidate, memo, isEdit) && !self.hasFlag(candidate, 'NOSUGGEST', undefined, memo)){
+				candidates[candidate] = score;
+				found ++;
+			}
 		}
-		*/
 
 		/**
-		 * Returns a hash keyed by all of the strings that can be made by making a single edit to the word (or words in) `words`
-		 * The value of each entry is the number of unique ways that the resulting word can be made.
-		 *
-		 * @arg mixed words Either a hash keyed by words or a string word to operate on.
-		 * @arg bool known_only Whether this function should ignore strings that are not in the dictionary.
+		 * Adds the words made by applying the entries of the replacement table.
+		 * A leading `^` or trailing `$` anchors the pattern, an underscore in the replacement stands for a space, in which case every part has
+		 * to be a known word.
 		 */
-		function edits1(words, known_only){
-			var rv = [];
-
-			for(var ii = 0, iilen = words.length; ii < iilen; ii ++){
-				var word = words[ii];
-
-				var splits = [];
-				for(var i = 0, len = word.length + 1; i < len; i ++)
-					splits.push([word.substring(0, i), word.substring(i, word.length)]);
-
-				//remove a letter
-				var deletes = [];
-				for(var i = 0, len = splits.length; i < len; i ++){
-					var s = splits[i];
-					if(s[1])
-						deletes.push(s[0] + s[1].substring(1));
+		function replacements(){
+			for(var i = 0, len = self.replacementTable.length; i < len; i ++){
+				var pattern = self.replacementTable[i][0];
+				var replacement = self.replacementTable[i][1].replace(/_/g, ' ');
+
+				var atStart = (pattern[0] === '^');
+				var atEnd = (pattern[pattern.length - 1] === '$');
+				pattern = pattern.substring(atStart? 1: 0, pattern.length - (atEnd? 1: 0));
+				if(!pattern)
+					continue;
+
+				for(var position = word.indexOf(pattern); position !== -1; position = word.indexOf(pattern, position + 1)){
+					if(atStart && position !== 0 || atEnd && position + pattern.length !== word.length)
+						continue;
+
+					var candidate = word.substring(0, position) + replacement + word.substring(position + pattern.length);
+					var parts = candidate.split(' ');
+					if(parts.length === 1)
+						consider(candidate, 0);
+					else if(!candidates.hasOwnProperty(candidate) && parts.every(function (part){ return part && self.checkCapitalization(part, memo); })){
+						candidates[candidate] = 0;
+						found ++;
+					}
 				}
+			}
+		}
 
-				//transpose letters
-				//eliminate transpositions of identical letters
-				var transposes = [];
-				for(var i = 0, len = splits.length; i < len; i ++){
-					var s = splits[i];
-					if(s[1].length > 1 && s[1][1] !== s[1][0])
-						transposes.push(s[0] + s[1][1] + s[1][0] + s[1].substring(2));
-				}
+		/**
+		 * Adds the words made by swapping characters with related ones from the MAP table.
+		 * More than one character can be swapped, so a word can get all of its accents right at once.
+		 */
+		function mapRelated(){
+			function swap(candidate, start){
+				for(var i = start, len = candidate.length; i < len; i ++)
+					for(var j = 0, jlen = self.mapTable.length; j < jlen; j ++){
+						var group = self.mapTable[j];
 
-				var replaces = [];
-				for(var i = 0, len = splits.length; i < len; i ++){
-					var s = splits[i];
-					if(s[1])
-						for(var j = 0, jlen = self.alphabet.length; j < jlen; j ++)
-							replaces.push(s[0] + self.alphabet[j] + s[1].substring(1));
-				}
+						for(var k = 0, klen = group.length; k < klen; k ++){
+							if(!group[k] || !candidate.startsWith(group[k], i))
+								continue;
 
-				var inserts = [];
-				for(var i = 0, len = splits.length; i < len; i ++){
-					var s = splits[i];
-					if(s[1])
-						for(var j = 0, jlen = self.alphabet.length; j < jlen; j ++)
-							replaces.push(s[0] + self.alphabet[j] + s[1]);
-				}
+							for(var l = 0; l < klen; l ++){
+								if(l === k || expired())
+									continue;
+
+								var swapped = candidate.substring(0, i) + group[l] + candidate.substring(i + group[k].length);
+								consider(swapped, 1);
 
-				rv = rv.concat(deletes);
-				rv = rv.concat(transposes);
-				rv = rv.concat(replaces);
-				rv = rv.concat(inserts);
+								swap(swapped, i + group[l].length);
+							}
+						}
+					}
 			}
 
-			return rv;
+			swap(word, 0);
 		}
 
-		function known(words){
-			var rv = [];
-			for(var i = 0; i < words.length; i ++)
-				if(self.check(words[i]))
-					rv.push(words[i]);
-			return rv;
+		/**
+		 * Adds the words made by replacing a character with an uppercase one or with an adjacent key of the KEY table.
+		 */
+		function keyRelated(){
+			for(var i = 0, len = word.length; i < len; i ++){
+				var character = word[i];
+
+				if(character.toUpperCase() !== character)
+					consider(word.substring(0, i) + character.toUpperCase() + word.substring(i + 1), 2);
+
+				for(var j = 0, jlen = self.keyboardTable.length; j < jlen; j ++){
+					var row = self.keyboardTable[j];
+
+					for(var k = row.indexOf(character); k !== -1; k = row.indexOf(character, k + 1)){
+						if(k > 0)
+							consider(word.substring(0, i) + row[k - 1] + word.substring(i + 1), 2);
+						if(k < row.length - 1)
+							consider(word.substring(0, i) + row[k + 1] + word.substring(i + 1), 2);
+					}
+				}
+			}
 		}
 
-		function correct(word){
-			//get the edit-distance-1 and edit-distance-2 forms of this word
-			var ed1 = edits1([word]);
-			var ed2 = edits1(ed1, true);
+		/**
+		 * Adds the words one edit away: a deleted, transposed, replaced or inserted character.
+		 */
+		function edits1(){
+			for(var i = 0, len = word.length; i <= len && !expired(); i ++){
+				var head = word.substring(0, i);
+				var tail = word.substring(i);
+
+				//remove a letter
+				if(tail)
+					consider(head + tail.substring(1), 3, true);
 
-			var corrections = known(ed1).concat(known(ed2));
+				//transpose letters, eliminating transpositions of identical letters
+				if(tail.length > 1 && tail[1] !== tail[0])
+					consider(head + tail[1] + tail[0] + tail.substring(2), 3, true);
 
-			//sort the edits based on how many different ways they were created
-			var weighted_corrections = {};
+				for(var j = 0, jlen = self.alphabet.length; j < jlen && !expired(); j ++){
+					//replace a letter
+					if(tail && tail[0] !== self.alphabet[j])
+						consider(head + self.alphabet[j] + tail.substring(1), 3, true);
 
-			for(var i = 0, len = corrections.length; i < len; i ++){
-				if(!(corrections[i] in weighted_corrections))
-					weighted_corrections[corrections[i]] = 1;
-				else
-					weighted_corrections[corrections[i]] += 1;
+					//insert a letter
+					consider(head + self.alphabet[j] + tail, 3, true);
+				}
 			}
+		}
 
-			var sorted_corrections = [];
-			for(var i in weighted_corrections)
-				if(weighted_corrections.hasOwnProperty(i))
-					sorted_corrections.push([i, weighted_corrections[i]]);
+		/**
+		 * Adds the words of the suggestion index that are two edits away.
+		 */
+		function edits2(){
+			var index = self.buildSuggestionIndex(deadline);
+			var lowercaseWord = word.toLowerCase();
 
-			function sorter(a, b){
-				var a_val = a[1];
-				var b_val = b[1];
-				if(a_val < b_val)
-					return -1;
-				if (a_val > b_val)
-					return 1;
-				return b[0].localeCompare(a[0]);
+			if(!index){
+				timedOut = true;
+				return;
 			}
 
-			sorted_corrections.sort(sorter).reverse();
+			for(var length = word.length - 2; length <= word.length + 2; length ++){
+				var words = index[length];
+				if(!words)
+					continue;
 
-			var rv = [];
+				for(var i = 0, len = words.length; i < len; i ++){
+					//checking the clock on every word is too expensive
+					if(i % 1000 === 0 && expired())
+						return;
 
-			var capitalization_scheme = 'lowercase';
-			if(word.toUpperCase() === word)
-				capitalization_scheme = 'uppercase';
-			else if (word.substr(0, 1).toUpperCase() + word.substr(1).toLowerCase() === word)
-				capitalization_scheme = 'capitalized';
+					var candidate = words[i];
+					if(!candidates.hasOwnProperty(candidate) && editDistance(lowercaseWord, candidate.toLowerCase(), 2) === 2){
+						candidates[candidate] = 4;
+						found ++;
+					}
+				}
+			}
+		}
+
+		/**
+		 * Computes the Damerau-Levenshtein (optimal string alignment) distance between two strings, giving up as soon as it exceeds `max`.
+		 *
+		 * @returns {Number} The distance, or `max + 1` if it exceeds `max`.
+		 */
+		function editDistance(a, b, max){
+			if(Math.abs(a.length - b.length) > max)
+				return max + 1;
+
+			var previousRow = null;
+			var row = [];
+			for(var j = 0; j <= b.length; j ++)
+				row.push(j);
+
+			for(var i = 1; i <= a.length; i ++){
+				var beforePreviousRow = previousRow;
+				previousRow = row;
+				row = [i];
+
+				var rowMinimum = i;
+				for(var j = 1; j <= b.length; j ++){
+					var cost = (a[i - 1] === b[j - 1]? 0: 1);
+					var distance = Math.min(previousRow[j] + 1, row[j - 1] + 1, previousRow[j - 1] + cost);
+
+					if(beforePreviousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1])
+						distance = Math.min(distance, beforePreviousRow[j - 2] + 1);
+
+					row.push(distance);
+					rowMinimum = Math.min(rowMinimum, distance);
+				}
 
-			for(var i = 0, len = Math.min(limit, sortedcorrections.length); i < len; i ++){
-				if('uppercase' === capitalization_scheme)
-					sorted_corrections[i][0] = sorted_corrections[i][0].toUpperCase();
-				else if('capitalized' === capitalization_scheme)
-					sorted_corrections[i][0] = sorted_corrections[i][0].substr(0, 1).toUpperCase() + sorted_corrections[i][0].substr(1);
-				
-				if(!self.hasFlag(sorted_corrections[i][0], 'NOSUGGEST') && rv.indexOf(sorted_corrections[i][0]) == -1)
-					rv.push(sorted_corrections[i][0]);
-				else
-					//if one of the corrections is not eligible as a suggestion , make sure we still return the right number of suggestions
-					limit ++;
+				if(rowMinimum > max)
+					return max + 1;
 			}
 
-			return rv;
+			return row[b.length];
 		}
 
+		var generators = [replacements, mapRelated, keyRelated, edits1, edits2];
+		for(var i = 0, len = generators.length; i < len && found < limit && !expired(); i ++)
+			generators[i]();
+
+		//rank by score, candidates found earlier (i.e. through more frequent TRY characters) first among equals
+		var ranked = Object.keys(candidates);
+		var order = {};
+		for(var i = 0, len = ranked.length; i < len; i ++)
+			order[ranked[i]] = i;
+		ranked.sort(function (a, b){
+			return (candidates[a] - candidates[b] || order[a] - order[b]);
+		});
+
+		var capitalizationScheme = 'lowercase';
+		if(word.toUpperCase() === word)
+			capitalizationScheme = 'uppercase';
+		else if(word.substr(0, 1).toUpperCase() + word.substr(1).toLowerCase() === word)
+			capitalizationScheme = 'capitalized';
+
+		var suggestions = [];
+		for(var i = 0, len = ranked.length; i < len && suggestions.length < limit; i ++){
+			var suggestion = ranked[i];
+
+			if('uppercase' === capitalizationScheme)
+				suggestion = suggestion.toUpperCase();
+			else if('capitalized' === capitalizationScheme)
+				suggestion = suggestion.substr(0, 1).toUpperCase() + suggestion.substr(1);
+
+			suggestion = self.convertOutput(suggestion);
+			if(suggestions.indexOf(suggestion) === -1)
+				suggestions.push(suggestion);
+		}
+
+		//a bigger budget could find better suggestions
+		if(timedOut)
+			return suggestions;
+
 		this.memoized[word] = {
-			'suggestions': correct(word),
+			'suggestions': suggestions,
 			'limit': limit
 		};
 
 		return this.memoized[word]['suggestions'];
 	}
 };
+
+if(typeof module !== 'undefined' && module.exports)
+	module.exports = Typo;